@@ -10,11 +10,13 @@ const TABLE_API = (typeof browser !== "undefined") ? browser : chrome; // For co
  * key - name of the field and will be used same key in data object for access.
  * value - object description:
  * - label - label for the field
- * - type - type of the field representation: label, select, checkbox, input, input-readonly
+ * - type - type of the field representation: label, select, checkbox, input, input-readonly,
+ *          list (ordered array of values chosen from options)
  * - getter (optional)  - function to get value from data object
  * - setter (optional)  - function to set value to data object
- * - validator (optional) - function to validate value before set to data object
- * - options (optional) - array of objects for select type: {value, label}, can be a function to get options from data object
+ * - validator (optional) - function(value, data) to validate value before set to data object,
+ *                          returns true if value is valid, otherwise false or error message shown near the field
+ * - options (optional) - array of objects for select and list types: {value, label}, can be a function to get options from data object
  * - default (optional) - default value for the field, will be used if data object doesn't have this field
  * - tooltip (optional) - tooltip for the field
  * - class (optional)   - class name for the field
@@ -136,10 +138,7 @@ class TableDataSchema {
     setFieldValue(key, data, value) {
         const field = this.getFieldInfo(key);
         if (field) {
-            if (field.validator && typeof field.validator === "function") {
-                const valid = field.validator(value);
-                if (!valid) return false;
-            }
+            if (this.validateFieldValue(key, data, value)) return false;
             if (field.setter && typeof field.setter === "function") {
                 // Don't care about data validation here, setter may not use it totally
                 field.setter(data, value);
@@ -153,6 +152,24 @@ class TableDataSchema {
         return false;
     }
 
+    /**
+     * Validates the value for a field using the field's validator.
+     *
+     * @param {string} key - The key identifying the field to validate.
+     * @param {Object} data - The data object of the row, validator may depend on other fields.
+     * @param {*} value - The value to validate.
+     * @returns {string|null} - The error message if the value is invalid, otherwise null.
+     */
+    validateFieldValue(key, data, value) {
+        const field = this.getFieldInfo(key);
+        if (field && field.validator && typeof field.validator === "function") {
+            const valid = field.validator(value, data);
+            if (typeof valid === "string") return valid || "Invalid value";
+            if (!valid) return "Invalid value";
+        }
+        return null;
+    }
+
     /**
      * Resets the value of a specified field in the given data object to its default value.
      * If the field has a defined default value, it sets the field in the data object to that value.
@@ -213,9 +230,12 @@ class TableRow {
         this.permission = null;
         this.bGenStateCell = true;
         this.bGenActionsCell = true;
+        this.bDraggable = false;
         this._hasPermission = false;
         this._isSaving = false;
         this._isDirty = false;
+        this._errors = {};
+        this._warnings = [];
         this._scope_updateState = false;
         this._scope_load = false;
         this._remove = false;
@@ -256,6 +276,61 @@ class TableRow {
         return this._hasPermission;
     }
 
+    /**
+     * Checks if any field has an invalid value which was not applied to the data.
+     *
+     * @returns {boolean} True if there are validation errors, otherwise false.
+     */
+    hasErrors() {
+        return Object.keys(this._errors).length > 0;
+    }
+
+    /**
+     * Sets or clears the validation error of a field, the error is shown near the field.
+     *
+     * @param {string} key - The key of the field.
+     * @param {string|null} error - The error message or null to clear it.
+     */
+    setError(key, error) {
+        if ((this._errors[key] || null) === (error || null)) return;
+        if (error) {
+            this._errors[key] = error;
+        } else {
+            delete this._errors[key];
+        }
+        this.updateState();
+    }
+
+    /**
+     * Sets warnings about the row (e.g. problems with other rows), they are shown in the state cell.
+     *
+     * @param {string[]} warnings - Warning messages, empty array to clear them.
+     */
+    setWarnings(warnings) {
+        const next = Array.isArray(warnings) ? warnings : [];
+        if (next.join("\n") === this._warnings.join("\n")) return;
+        this._warnings = next;
+        this.updateState();
+    }
+
+    /**
+     * Validates the value of a field again (e.g. when its validation depends on other fields).
+     * The value typed by the user is applied if it became valid.
+     *
+     * @param {string} key - The key of the field.
+     * @returns {boolean} True if the value is valid, otherwise false.
+     */
+    revalidate(key) {
+        const elem = this.getElement(key);
+        const value = (elem && elem.type !== "checkbox") ? elem.value : this.get(key);
+        const error = this.schema.validateFieldValue(key, this.data, value);
+        if (!error && value !== this.get(key)) {
+            return this.set(key, value);
+        }
+        this.setError(key, error);
+        return !error;
+    }
+
     checkPermission() {
         if (this.permission) {
             const self = this;
@@ -305,7 +380,13 @@ class TableRow {
     }
 
     set(key, value, triggerEvents = true) {
+        const error = this.schema.validateFieldValue(key, this.data, value);
+        if (error) {
+            this.setError(key, error);
+            return false;
+        }
         if (this.schema.setFieldValue(key, this.data, value)) {
+            this.setError(key, null);
             if (triggerEvents && !this._scope_load) this.afterAnyChange();
             return true;
         }
@@ -318,8 +399,10 @@ class TableRow {
             for (const fieldKey in this.schema.schema) {
                 this.schema.resetFieldValue(fieldKey, this.data);
             }
+            this._errors = {};
         } else {
             this.schema.resetFieldValue(key, this.data);
+            delete this._errors[key];
         }
         this.afterAnyChange();
     }
@@ -358,6 +441,8 @@ class TableRow {
 
     genStateCell(stateCell) {
         const states = [
+            { className: "state-invalid", title: "Has invalid values", icon: "❌" },
+            { className: "state-warning", title: "Has warnings", icon: "⚠️" },
             { className: "state-no-permission", title: "Permission required", icon: "🔒" },
             { className: "state-dirty", title: "Has not saved changes", icon: "📝" },
             { className: "state-ok", title: "OK", icon: "🟢" },
@@ -390,6 +475,24 @@ class TableRow {
         const headers = this.schema.getHeaders();
         const self = this;
 
+        if (this.bDraggable) {
+            // Row is draggable only while the handle is pressed, so text in inputs still can be selected
+            const orderCell = document.createElement("td");
+            orderCell.className = "field-order";
+            const handle = document.createElement("span");
+            handle.className = "drag-handle";
+            handle.title = "Drag to reorder";
+            handle.textContent = "☰";
+            handle.addEventListener("mousedown", () => {
+                rowElement.draggable = true;
+            });
+            handle.addEventListener("mouseup", () => {
+                rowElement.draggable = false;
+            });
+            orderCell.appendChild(handle);
+            rowElement.appendChild(orderCell);
+        }
+
         if (this.bGenStateCell) {
             const stateCell = document.createElement("td");
             stateCell.className = "state";
@@ -443,6 +546,21 @@ class TableRow {
                     cell.appendChild(checkbox);
                     valueElem = checkbox;
                     break;
+                case "list":
+                    const list = document.createElement("div");
+                    list.className = "list";
+                    cell.appendChild(list);
+                    const addSelect = document.createElement("select");
+                    addSelect.className = "list-add";
+                    addSelect.addEventListener("change", (event) => {
+                        if (!addSelect.value) return;
+                        const values = (self.get(header.key) || []).concat([addSelect.value]);
+                        self.onChanged(addSelect, event, header.key, values);
+                    });
+                    cell.appendChild(addSelect);
+                    this.genListItems(cell, header.key);
+                    valueElem = addSelect;
+                    break;
                 case "input":
                 case "input-readonly":
                     const input = document.createElement("input");
@@ -488,6 +606,74 @@ class TableRow {
         return rowElement;
     }
 
+    /**
+     * Renders items of a list field: each item can be moved up or removed, the select adds one of the remaining options.
+     *
+     * @param {HTMLElement} cell - The cell of the field.
+     * @param {string} key - The key of the field.
+     */
+    genListItems(cell, key) {
+        const list = cell.querySelector(".list");
+        const addSelect = cell.querySelector("select.list-add");
+        if (!list || !addSelect) return;
+        const self = this;
+        const values = Array.isArray(this.get(key)) ? this.get(key) : [];
+        const options = (this.options(key) || []).map((option) => {
+            return {
+                value: option?.value ?? option?.label ?? String(option),
+                label: option?.label ?? option?.value ?? String(option),
+            };
+        });
+        const labelOf = (value) => options.find((option) => option.value === value)?.label ?? value;
+
+        while (list.firstChild) list.removeChild(list.firstChild);
+        values.forEach((value, index) => {
+            const item = document.createElement("div");
+            item.className = "list-item";
+            const text = document.createElement("span");
+            text.textContent = `${index + 1}. ${labelOf(value)}`;
+            item.appendChild(text);
+            if (index > 0) {
+                const upButton = document.createElement("button");
+                upButton.type = "button";
+                upButton.className = "btn small";
+                upButton.title = "Move up";
+                upButton.textContent = "↑";
+                upButton.addEventListener("click", (event) => {
+                    const next = values.slice();
+                    next.splice(index - 1, 0, next.splice(index, 1)[0]);
+                    self.onChanged(addSelect, event, key, next);
+                    event.preventDefault();
+                });
+                item.appendChild(upButton);
+            }
+            const removeButton = document.createElement("button");
+            removeButton.type = "button";
+            removeButton.className = "btn remove small";
+            removeButton.title = "Remove";
+            removeButton.textContent = "✕";
+            removeButton.addEventListener("click", (event) => {
+                self.onChanged(addSelect, event, key, values.filter((_, i) => i !== index));
+                event.preventDefault();
+            });
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+
+        while (addSelect.firstChild) addSelect.removeChild(addSelect.firstChild);
+        const placeholder = document.createElement("option");
+        placeholder.value = "";
+        placeholder.textContent = "+ Add";
+        addSelect.appendChild(placeholder);
+        options.filter((option) => !values.includes(option.value)).forEach((option) => {
+            const opt = document.createElement("option");
+            opt.value = option.value;
+            opt.textContent = option.label;
+            addSelect.appendChild(opt);
+        });
+        addSelect.value = "";
+    }
+
     getElement(key) {
         if (this.rowElement) {
             const cell = this.rowElement.querySelector(`td[data-key="${key}"]`);
@@ -554,6 +740,17 @@ class TableRow {
                     this.rowElement.classList.add("no-permission");
                 }
             }
+            const hasErrors = this.hasErrors();
+            this.rowElement.classList.toggle("invalid", hasErrors);
+            const invalidState = this.rowElement.querySelector(".state-invalid");
+            if (invalidState) {
+                invalidState.title = hasErrors ? Object.values(this._errors).join("\n") : "Has invalid values";
+            }
+            this.rowElement.classList.toggle("warning", this._warnings.length > 0);
+            const warningState = this.rowElement.querySelector(".state-warning");
+            if (warningState) {
+                warningState.title = this._warnings.length > 0 ? this._warnings.join("\n") : "Has warnings";
+            }
         }
 
         // Update value in elements
@@ -561,6 +758,26 @@ class TableRow {
         for (const key in elements) {
             const elem = elements[key];
             if (elem) {
+                // Show validation error inline and keep the invalid value typed by the user
+                const error = this._errors[key] || null;
+                elem.classList.toggle("invalid", !!error);
+                elem.title = error || elem.tooltip || "";
+                let errorElem = elem.parentElement.querySelector(".field-error");
+                if (error && !errorElem) {
+                    errorElem = document.createElement("div");
+                    errorElem.className = "field-error";
+                    elem.parentElement.appendChild(errorElem);
+                }
+                if (errorElem) {
+                    errorElem.textContent = error || "";
+                    errorElem.style.display = error ? "" : "none";
+                }
+                if (error) continue;
+                if (elem.classList.contains("list-add")) {
+                    this.genListItems(elem.parentElement, key);
+                    continue;
+                }
+
                 const fieldValue = this.get(key);
                 if (elem.tagName === "SELECT") {
                     elem.value = fieldValue ?? "";
@@ -582,7 +799,9 @@ class TableRow {
         for (const key in elements) {
             const elem = elements[key];
             const type = this.schema.getFieldInfo(key).type;
-            if (elem && elem.tagName === "SELECT" && type === "select") {
+            if (elem && type === "list") {
+                this.genListItems(elem.parentElement, key);
+            } else if (elem && elem.tagName === "SELECT" && type === "select") {
                 const fieldValue = this.get(key);
                 const options = this.options(key);
                 while (elem.firstChild) elem.removeChild(elem.firstChild);
@@ -669,12 +888,78 @@ class TableHelper {
         this.autoSave = false;
         this.genStateCell = true;
         this.genActionsCell = true;
+        // Rows can be reordered by drag and drop (rows must have bDraggable too)
+        this.reorderable = false;
+        this._orderChanged = false;
+        this._reorderBoundTo = null;
     }
 
     getData() {
         return this.rows.filter(row => !row._remove).map((row) => row.getData());
     }
 
+    /**
+     * Called when the order of rows was changed by the user.
+     * Saves all rows if autoSave is enabled, otherwise marks the table as dirty.
+     */
+    onReordered() {
+        if (this.autoSave) {
+            this.saveAll();
+        } else {
+            this.updateState();
+        }
+    }
+
+    _syncOrderFromDOM() {
+        if (!this.tbodyElement) return;
+        const order = Array.from(this.tbodyElement.children);
+        const position = (row) => {
+            const index = order.indexOf(row.rowElement);
+            return index < 0 ? order.length : index;
+        };
+        const previous = this.rows.slice();
+        this.rows.sort((a, b) => position(a) - position(b));
+        if (this.rows.some((row, index) => row !== previous[index])) {
+            this._orderChanged = true;
+            this.onReordered();
+        }
+    }
+
+    _bindReorder() {
+        if (!this.reorderable || !this.tbodyElement || this._reorderBoundTo === this.tbodyElement) return;
+        const self = this;
+        const tbody = this.tbodyElement;
+        this._reorderBoundTo = tbody;
+        let dragged = null;
+
+        tbody.addEventListener("dragstart", (event) => {
+            dragged = self.rows.find((row) => row.rowElement === event.target) || null;
+            if (!dragged) return;
+            event.dataTransfer.effectAllowed = "move";
+            event.dataTransfer.setData("text/plain", "");
+            dragged.rowElement.classList.add("dragging");
+        });
+        tbody.addEventListener("dragover", (event) => {
+            if (!dragged) return;
+            event.preventDefault();
+            const target = event.target instanceof Element ? event.target.closest("tr") : null;
+            if (!target || target === dragged.rowElement || target.parentElement !== tbody) return;
+            const rect = target.getBoundingClientRect();
+            const after = event.clientY > rect.top + rect.height / 2;
+            tbody.insertBefore(dragged.rowElement, after ? target.nextSibling : target);
+        });
+        tbody.addEventListener("drop", (event) => {
+            if (dragged) event.preventDefault();
+        });
+        tbody.addEventListener("dragend", () => {
+            if (!dragged) return;
+            dragged.rowElement.classList.remove("dragging");
+            dragged.rowElement.draggable = false;
+            dragged = null;
+            self._syncOrderFromDOM();
+        });
+    }
+
     removeAll() {
         this.rows.forEach((row) => {
             row.remove();
@@ -713,7 +998,7 @@ class TableHelper {
     }
 
     isDirty() {
-        return this.rows.some((row) => row.isDirty() || row._remove);
+        return this._orderChanged || this.rows.some((row) => row.isDirty() || row._remove);
     }
 
     hasPermission() {
@@ -785,6 +1070,7 @@ class TableHelper {
         const savePromises = this.rows.map((row) => row.save());
         return Promise.all(savePromises).then(() => {
             self.rows = self.rows.filter((row) => !row._remove);
+            self._orderChanged = false;
             self.updateState();
         }).catch((error) => {
             console.error("Error saving data:", error);
@@ -809,6 +1095,9 @@ class TableHelper {
     genHeaderHTML() {
         const tr = document.createElement("tr");
         const headers = this.schema.getHeaders();
+        if (this.reorderable) {
+            tr.appendChild(this._genTH("order", "field-order", "", "Drag rows to change the order"));
+        }
         if (this.genStateCell) {
             tr.appendChild(this._genTH("state", "field-state", "State", "Current state markers"));
         }
@@ -836,5 +1125,6 @@ class TableHelper {
         this.rows.forEach((row) => {
             row.init(self.tbodyElement);
         });
+        this._bindReorder();
     }
 }
@@ -193,6 +193,177 @@ class Modal{
   }
 }
 
+/**
+ * Small notification in the corner of the page that disappears by itself.
+ */
+class Toast {
+  /**
+   * @param {string} text Text of the notification.
+   * @param {number} duration Seconds before the toast is closed.
+   * @param {{label: string, cb: function(): void}[]} buttons Buttons under the text, any of them closes the toast.
+   * @param {function(): void|null} closeCb Called when the toast is closed (by timeout, button or another toast).
+   */
+  constructor(text, duration = 2, buttons = [], closeCb = null) {
+    this.text = text;
+    this.duration = duration;
+    this.buttons = buttons;
+    this.closeCb = closeCb;
+    this.element = null;
+    this._textElement = null;
+    this._handle = null;
+  }
+
+  show() {
+    // Only one toast at a time - replace the previous one
+    if (Toast.current && Toast.current !== this) Toast.current.close();
+    Toast.current = this;
+
+    if (!this.element) {
+      this.element = document.createElement("div");
+      this.element.className = "audio-selector-toast";
+      this.element.style.position = "fixed";
+      this.element.style.right = "24px";
+      this.element.style.bottom = "24px";
+      this.element.style.zIndex = "9999";
+      this.element.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+      this.element.style.color = "white";
+      this.element.style.padding = "10px 16px";
+      this.element.style.borderRadius = "8px";
+      this.element.style.boxShadow = "0 0 10px rgba(0, 0, 0, 0.5)";
+      this.element.style.fontFamily = "Arial, sans-serif";
+      this.element.style.fontSize = "16px";
+      this.element.style.lineHeight = "1.5";
+      this.element.style.pointerEvents = this.buttons.length > 0 ? "auto" : "none";
+      this._textElement = document.createElement("div");
+      this.element.appendChild(this._textElement);
+      if (this.buttons.length > 0) this.element.appendChild(this._genButtons());
+      document.body.appendChild(this.element);
+    }
+    this._textElement.innerText = this.text;
+
+    clearTimeout(this._handle);
+    const self = this;
+    this._handle = setTimeout(() => {
+      self.close();
+    }, this.duration * 1000);
+  }
+
+  _genButtons() {
+    const row = document.createElement("div");
+    row.style.marginTop = "8px";
+    this.buttons.forEach((button) => {
+      const element = document.createElement("button");
+      element.innerText = button.label;
+      element.style.marginRight = "6px";
+      element.style.padding = "4px 10px";
+      element.style.border = "none";
+      element.style.borderRadius = "5px";
+      element.style.backgroundColor = "#0063b1";
+      element.style.color = "white";
+      element.style.cursor = "pointer";
+      element.addEventListener("click", () => {
+        button.cb();
+        this.close();
+      });
+      row.appendChild(element);
+    });
+    return row;
+  }
+
+  close() {
+    clearTimeout(this._handle);
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+      this._textElement = null;
+    }
+    if (Toast.current === this) Toast.current = null;
+    if (this.closeCb) {
+      const closeCb = this.closeCb;
+      this.closeCb = null;
+      closeCb();
+    }
+  }
+}
+
+function AUDIO_ShowToast(text, duration = 2) {
+  const toast = new Toast(text, duration);
+  toast.show();
+}
+
+// Equalizer presets: gains in dB for bands 60Hz, 230Hz, 910Hz, 3.6kHz, 14kHz
+const AUDIO_EQ_PRESETS = {
+  flat: { label: "Flat", gains: [0, 0, 0, 0, 0] },
+  voice: { label: "Voice clarity", gains: [-6, -2, 3, 5, 1] },
+  bass: { label: "Bass boost", gains: [8, 5, 1, 0, 0] },
+  custom: { label: "Custom", gains: null },
+};
+const AUDIO_EQ_BANDS = ["60 Hz", "230 Hz", "910 Hz", "3.6 kHz", "14 kHz"];
+
+// Compressor presets: DynamicsCompressorNode parameters and make-up gain in dB
+const AUDIO_COMPRESSOR_PRESETS = {
+  meeting: {
+    label: "Meeting leveler",
+    params: { threshold: -30, knee: 20, ratio: 4, attack: 0.01, release: 0.3, makeupGain: 8 },
+  },
+  night: {
+    label: "Night mode",
+    params: { threshold: -45, knee: 10, ratio: 10, attack: 0.003, release: 0.25, makeupGain: 14 },
+  },
+  limiter: {
+    label: "Limiter",
+    params: { threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.1, makeupGain: 0 },
+  },
+};
+
+/**
+ * Get available equalizer presets (used by the options page too).
+ * @returns {{value: string, label: string}[]} Names and labels of the presets.
+ */
+function AUDIO_GetEqualizerPresets() {
+  return Object.keys(AUDIO_EQ_PRESETS).map((name) => ({ value: name, label: AUDIO_EQ_PRESETS[name].label }));
+}
+
+/**
+ * Get available compressor presets (used by the options page too).
+ * @returns {{value: string, label: string}[]} Names and labels of the presets.
+ */
+function AUDIO_GetCompressorPresets() {
+  return Object.keys(AUDIO_COMPRESSOR_PRESETS).map((name) => ({ value: name, label: AUDIO_COMPRESSOR_PRESETS[name].label }));
+}
+
+/**
+ * Get equalizer band gains for the preset.
+ * @param {string} preset Name of the preset (see AUDIO_EQ_PRESETS), empty - equalizer is off.
+ * @param {number[]} customGains Gains for the "custom" preset.
+ * @returns {number[]} Gains in dB, empty array if equalizer is off.
+ */
+function AUDIO_GetEqualizerGains(preset, customGains = []) {
+  if (preset === "custom") {
+    return AUDIO_EQ_BANDS.map((band, index) => Number(customGains?.[index]) || 0);
+  }
+  if (preset && AUDIO_EQ_PRESETS[preset]) {
+    return AUDIO_EQ_PRESETS[preset].gains.slice();
+  }
+  return [];
+}
+
+// Audio state of this tab
+const AUDIO_STATE = {
+  // SinkId selected by the user for this tab (null - not selected, browser default is used)
+  sinkId: null,
+  // Observer for media elements added after the device was selected
+  observer: null,
+  // Additional sinkIds where the tab audio is duplicated (mirror mode)
+  mirrorSinkIds: [],
+  // Label of the device chosen for this tab, the tab is moved back to it when it returns
+  preferredLabel: null,
+  // Devices to use (in priority order) while the preferred device is absent, {label, deviceId}
+  fallbacks: [],
+  // Listener of "devicechange" event (see AUDIO_WatchDeviceChanges)
+  deviceChangeHandler: null,
+};
+
 async function AUDIO_RequestPermission() {
   if (window.hasOwnProperty("AUDIO_REQUESTED") && typeof window.AUDIO_REQUESTED === "boolean") {
     return window.AUDIO_REQUESTED;
@@ -244,9 +415,10 @@ function AUDIO_GetDeviceLabel(deviceId) {
   return null;
 }
 
-function AUDIO_EnumerateDevices() {
+function AUDIO_EnumerateDevices(silent = false) {
   return new Promise(async (resolve) => {
-    await AUDIO_RequestPermission();
+    // In silent mode user will not be asked for permission (used for embedded frames)
+    if (!silent) await AUDIO_RequestPermission();
 
     const mediaDevices = {
       audioinput: [],
@@ -256,7 +428,7 @@ function AUDIO_EnumerateDevices() {
 
     if (navigator.mediaDevices?.enumerateDevices) {
       let result = await navigator.mediaDevices.enumerateDevices();
-      if (result.filter((device) => device.kind === "audiooutput").length < 1 && navigator.mediaDevices?.selectAudioOutput) {
+      if (!silent && result.filter((device) => device.kind === "audiooutput").length < 1 && navigator.mediaDevices?.selectAudioOutput) {
         // Still no permission - try to use selectAudioOutput() method
         try {
           await navigator.mediaDevices.selectAudioOutput();
@@ -269,6 +441,7 @@ function AUDIO_EnumerateDevices() {
         mediaDevices[device.kind].push({
           label: device.label,
           deviceId: device.deviceId,
+          groupId: device.groupId,
         });
         AUDIO_SaveDeviceLabel(device.deviceId, device.label);
       });
@@ -301,32 +474,283 @@ async function AUDIO_WatchMediaElement(element, id) {
 
     // And reset sinkId when started
     element.addEventListener("playing", () => {
-      element.setSinkId(element.getAttribute("data-audio-selector-sink-id"));
+      element.setSinkId(element.getAttribute("data-audio-selector-sink-id") || "");
     });
   }
 }
 
-function AUDIO_GetUsedSinkIds() {
+/**
+ * Start watching the DOM for new media elements and route them to the desired sinkId.
+ * @noreturn
+ */
+function AUDIO_ObserveMediaElements() {
+  if (AUDIO_STATE.observer || typeof MutationObserver === "undefined") return;
+
+  const watch = (element) => {
+    // Elements with own device (per-element picker) keep it when the player moves them
+    if (typeof AUDIO_STATE.sinkId !== "string" || AUDIO_IsSinkLocked(element)) return;
+    AUDIO_WatchMediaElement(element, AUDIO_STATE.sinkId).catch((err) => {
+      console.warn("[AudioSelector] Failed to route new media element:", err);
+    });
+  };
+
+  AUDIO_STATE.observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach((node) => {
+        if (node instanceof HTMLMediaElement) {
+          watch(node);
+        } else if (node instanceof Element) {
+          node.querySelectorAll("audio, video").forEach(watch);
+        }
+      });
+    }
+  });
+  AUDIO_STATE.observer.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+/**
+ * Stop watching the DOM for new media elements.
+ * @noreturn
+ */
+function AUDIO_StopObserveMediaElements() {
+  if (AUDIO_STATE.observer) {
+    AUDIO_STATE.observer.disconnect();
+    AUDIO_STATE.observer = null;
+  }
+}
+
+/**
+ * Remember the sinkId as desired for this tab, so all media added later will use it.
+ * @param {string} id The sinkId to use.
+ * @param {boolean} keepMirrors Keep mirror mode, only the main device is replaced (Default: false).
+ * @noreturn
+ */
+function AUDIO_SetDesiredSinkId(id, keepMirrors = false) {
+  AUDIO_STATE.sinkId = id;
+  AUDIO_ObserveMediaElements();
+  // Selecting a single device ends mirror mode, the new main device can't be its own mirror either
+  const mirrorSinkIds = keepMirrors ? AUDIO_STATE.mirrorSinkIds.filter((sinkId) => sinkId !== id) : [];
+  if (mirrorSinkIds.length !== AUDIO_STATE.mirrorSinkIds.length) {
+    AUDIO_STATE.mirrorSinkIds = mirrorSinkIds;
+    AUDIO_PageCall("setSettings", [{ mirrorSinkIds }]);
+  }
+}
+
+/**
+ * Send a message to the background script.
+ * @param {Object} message The message, must have "type" property.
+ * @returns {Promise<any|null>} The response or null if failed.
+ * @nothrows
+ */
+function AUDIO_SendMessage(message) {
+  const runtime = (typeof browser !== "undefined" ? browser : chrome)?.runtime;
+  if (!runtime?.sendMessage) return Promise.resolve(null);
+  try {
+    return Promise.resolve(runtime.sendMessage(message)).catch((err) => {
+      console.warn("[AudioSelector] Failed to notify the extension:", err);
+      return null;
+    });
+  } catch (err) {
+    // Extension was reloaded, this script is orphaned
+    return Promise.resolve(null);
+  }
+}
+
+/**
+ * Report labels of connected output devices to the background, so it can notice newly connected ones.
+ * Devices are reported only when the page has permission to see labels.
+ * @returns {Promise<void>}
+ * @nothrows
+ */
+async function AUDIO_ReportDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return;
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const labels = devices.filter((device) => device.kind === "audiooutput" && device.label && device.deviceId !== "default")
+      .map((device) => device.label);
+    if (labels.length > 0) await AUDIO_SendMessage({ type: "audio-output-devices", labels });
+  } catch (err) {
+    console.warn("[AudioSelector] Failed to report devices:", err);
+  }
+}
+
+/**
+ * Offer the user to move tabs to the newly connected device.
+ * @param {string} label The label of the new device.
+ * @param {boolean} hasMeeting Whether there is a meeting tab to move.
+ * @returns {Promise<{action: "meeting"|"audible", always: boolean}|null>} The choice or null if dismissed.
+ */
+function AUDIO_OfferNewDevice(label, hasMeeting) {
+  return new Promise((resolve) => {
+    let choice = null;
+    const choose = (action, always) => () => {
+      choice = { action, always };
+    };
+    const buttons = [];
+    if (hasMeeting) {
+      buttons.push({ label: "Move meeting", cb: choose("meeting", false) });
+      buttons.push({ label: "Always for meetings", cb: choose("meeting", true) });
+    }
+    buttons.push({ label: "Move playing tabs", cb: choose("audible", false) });
+    buttons.push({ label: "Always for playing tabs", cb: choose("audible", true) });
+    buttons.push({ label: "Dismiss", cb: () => {} });
+    const toast = new Toast(`New audio device connected: ${label}`, 15, buttons, () => resolve(choice));
+    toast.show();
+  });
+}
+
+/**
+ * Watch for connected and disconnected devices: when the device of the tab disappears, the tab is moved
+ * to the first available fallback device (or browser default), and back when the preferred device returns.
+ * @param {string} label The label of the preferred device.
+ * @param {{label: string, deviceId: string|null}[]} fallbacks Fallback devices in priority order,
+ * deviceId (if this page has seen the device) tells apart devices with the same label.
+ * @noreturn
+ */
+function AUDIO_WatchDeviceChanges(label, fallbacks = []) {
+  AUDIO_STATE.preferredLabel = label || null;
+  AUDIO_STATE.fallbacks = fallbacks.filter((fallback) => fallback.label !== label);
+  if (AUDIO_STATE.deviceChangeHandler || !navigator.mediaDevices?.addEventListener) return;
+  AUDIO_STATE.deviceChangeHandler = () => {
+    AUDIO_HandleDeviceChange().catch((err) => {
+      console.warn("[AudioSelector] Failed to handle device change:", err);
+    });
+  };
+  navigator.mediaDevices.addEventListener("devicechange", AUDIO_STATE.deviceChangeHandler);
+}
+
+/**
+ * Stop watching for connected and disconnected devices.
+ * @noreturn
+ */
+function AUDIO_StopWatchDeviceChanges() {
+  AUDIO_STATE.preferredLabel = null;
+  AUDIO_STATE.fallbacks = [];
+  if (AUDIO_STATE.deviceChangeHandler) {
+    navigator.mediaDevices.removeEventListener("devicechange", AUDIO_STATE.deviceChangeHandler);
+    AUDIO_STATE.deviceChangeHandler = null;
+  }
+}
+
+/**
+ * Move the tab to the best available device: preferred one, then fallbacks in order, then browser default.
+ * The background is notified, so it knows the device actually used by the tab.
+ * @returns {Promise<boolean>} True if the tab was moved to another device, false otherwise.
+ */
+async function AUDIO_HandleDeviceChange() {
+  if (typeof AUDIO_STATE.sinkId !== "string" || !AUDIO_STATE.preferredLabel) return false;
+
+  const devices = await AUDIO_EnumerateDevices(true);
+  const outputs = devices?.audiooutput || [];
+  const candidates = [{ label: AUDIO_STATE.preferredLabel, deviceId: null }, ...AUDIO_STATE.fallbacks];
+  let target = null;
+  for (const candidate of candidates) {
+    target = (candidate.deviceId && outputs.find((device) => device.deviceId === candidate.deviceId))
+      || outputs.find((device) => device.label === candidate.label);
+    if (target) break;
+  }
+  const targetId = target ? target.deviceId : "";
+  if (targetId === AUDIO_STATE.sinkId) return false;
+
+  const preferredLabel = AUDIO_STATE.preferredLabel;
+  // Only the main device is gone or back, mirrors keep playing
+  const result = await AUDIO_UseDeviceByID(targetId, target ? target.label : "", true);
+  if (!result[0]) {
+    console.warn(`[AudioSelector] Failed to move audio to "${target ? target.label : "default device"}"`);
+    return false;
+  }
+  const reason = !target ? "default" : (target.label === preferredLabel ? "restored" : "fallback");
+  AUDIO_ShowToast(`Audio output: ${target ? target.label : "Default"}`, 3);
+  await AUDIO_SendMessage({ type: "audio-device-changed", label: target ? target.label : null, deviceId: targetId, reason });
+  return true;
+}
+
+/**
+ * Call a method of the page (main world) script - audio_page.js.
+ * @param {string} method The name of the method to call.
+ * @param {Array} args The arguments to pass to the method (must be JSON serializable).
+ * @param {number} timeout Timeout in milliseconds (Default: 5000).
+ * @returns {Promise<any|null>} The result of the method or null if the page script isn't injected or failed.
+ * @nothrows
+ */
+function AUDIO_PageCall(method, args = [], timeout = 5000) {
+  return new Promise((resolve) => {
+    if (!document.documentElement || !document.documentElement.hasAttribute("data-audio-selector-page")) {
+      return resolve(null);
+    }
+
+    AUDIO_PageCall._lastId = (AUDIO_PageCall._lastId || 0) + 1;
+    const id = "audioselector-" + AUDIO_PageCall._lastId;
+    let handle = null;
+    const onResponse = (event) => {
+      let response = null;
+      try {
+        response = JSON.parse(event.detail);
+      } catch (err) {
+        return;
+      }
+      if (!response || response.id !== id) return;
+      document.removeEventListener("audioselector-page-response", onResponse);
+      clearTimeout(handle);
+      if (response.error) {
+        console.warn(`[AudioSelector] Page method "${method}" failed:`, response.error);
+      }
+      resolve(response.result);
+    };
+    handle = setTimeout(() => {
+      document.removeEventListener("audioselector-page-response", onResponse);
+      console.warn(`[AudioSelector] Page method "${method}" timed out`);
+      resolve(null);
+    }, timeout);
+
+    document.addEventListener("audioselector-page-response", onResponse);
+    document.dispatchEvent(new CustomEvent("audioselector-page-request", {
+      detail: JSON.stringify({ id, method, args }),
+    }));
+  });
+}
+
+async function AUDIO_GetUsedSinkIds() {
   const usedSinkIds = new Set();
   const elems = document.querySelectorAll("audio, video");
   elems.forEach((el) => {
     if (el.sinkId) usedSinkIds.add(el.sinkId);
   });
+  // Also AudioContexts created by the page and mirrors
+  const pageSinkIds = await AUDIO_PageCall("getUsedSinkIds");
+  if (Array.isArray(pageSinkIds)) {
+    pageSinkIds.forEach((sinkId) => usedSinkIds.add(sinkId));
+  }
   return Array.from(usedSinkIds);
 }
 
-function AUDIO_CheckSinkIdOnAll(id) {
-  const elems = Array.from(document.querySelectorAll("audio, video"));
+/**
+ * Check if the media element has its own device assigned (by per-element picker),
+ * such elements are not changed by selecting the device for whole tab.
+ * @param {HTMLMediaElement} element
+ * @returns {boolean}
+ */
+function AUDIO_IsSinkLocked(element) {
+  return element.hasAttribute("data-audio-selector-sink-lock");
+}
+
+async function AUDIO_CheckSinkIdOnAll(id) {
+  const elems = Array.from(document.querySelectorAll("audio, video")).filter((el) => !AUDIO_IsSinkLocked(el));
   if (elems.length === 0) return false;
-  return elems.every((el) => el.sinkId === id);
+  if (!elems.every((el) => el.sinkId === id)) return false;
+  return (await AUDIO_PageCall("checkSinkIdOnAll", [id])) !== false;
 }
 
 async function AUDIO_SetSinkIdForAll(id) {
   let bResult = true;
+  // Route AudioContexts of the page (if page script injected)
+  if ((await AUDIO_PageCall("setSinkIdForAll", [id])) === false) {
+    bResult = false;
+  }
   const elems = document.querySelectorAll("audio, video");
   for (let i = 0; i < elems.length; i++) {
     const el = elems[i];
-    if (el instanceof HTMLMediaElement) {
+    if (el instanceof HTMLMediaElement && !AUDIO_IsSinkLocked(el)) {
       if (el.sinkId !== id) {
         try {
           await AUDIO_WatchMediaElement(el, id);
@@ -342,11 +766,12 @@ async function AUDIO_SetSinkIdForAll(id) {
 function AUDIO_GetInfo() {
   return new Promise(async (resolve) => {
     const devices = await AUDIO_EnumerateDevices();
-    const usedSinkIds = AUDIO_GetUsedSinkIds();
+    const usedSinkIds = await AUDIO_GetUsedSinkIds();
 
     for (let kind in devices) {
       devices[kind].forEach((device) => {
         device.isUsed = usedSinkIds.includes(device.deviceId);
+        device.isMirror = AUDIO_STATE.mirrorSinkIds.includes(device.deviceId);
       });
     }
 
@@ -354,13 +779,100 @@ function AUDIO_GetInfo() {
   });
 }
 
-async function AUDIO_RequestUserSelectDevice() {
+/**
+ * Show modal with list of devices where user can check several of them (for mirror mode).
+ * @returns {Promise<[true, string[], string[]]|[false, null, null]>}
+ */
+async function AUDIO_RequestUserSelectDevices() {
+  const list = document.createElement("div");
+  const applyButton = document.createElement("button");
+  applyButton.innerText = "Apply";
+  applyButton.style.width = "100%";
+  applyButton.style.padding = "8px";
+  applyButton.style.marginTop = "10px";
+  applyButton.style.border = "none";
+  applyButton.style.borderRadius = "5px";
+  applyButton.style.backgroundColor = "#0063b1";
+  applyButton.style.color = "white";
+  applyButton.style.cursor = "pointer";
+  applyButton.disabled = true;
+
+  // Order of checking defines the main device (first one)
+  const checked = [];
+  const removeChildren = (element) => {
+    while (element.firstChild) element.removeChild(element.firstChild);
+  };
+  const genOptions = async () => {
+    removeChildren(list);
+    const devices = await AUDIO_EnumerateDevices();
+    const audioOutputDevices = devices.audiooutput || [];
+    audioOutputDevices.forEach((device) => {
+      const label = document.createElement("label");
+      label.style.display = "block";
+      label.style.cursor = "pointer";
+      label.style.marginBottom = "6px";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = device.deviceId;
+      checkbox.checked = checked.includes(device.deviceId);
+      checkbox.style.marginRight = "8px";
+      checkbox.addEventListener("change", () => {
+        const index = checked.indexOf(device.deviceId);
+        if (checkbox.checked && index === -1) checked.push(device.deviceId);
+        if (!checkbox.checked && index !== -1) checked.splice(index, 1);
+        applyButton.disabled = checked.length === 0;
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(device.label || "Default"));
+      list.appendChild(label);
+    });
+  };
+
+  const body = document.createElement("div");
+  body.appendChild(list);
+  body.appendChild(applyButton);
+  const modal = new Modal("Select audio output devices", body);
+  return await (new Promise((resolve) => {
+    const handle = setTimeout(() => {
+      modal.close();
+    }, 60000); // 60 seconds timeout
+
+    modal.closeCb = () => {
+      clearTimeout(handle);
+      navigator.mediaDevices.removeEventListener("devicechange", genOptions);
+      resolve([false, null, null]);
+    };
+    applyButton.addEventListener("click", async () => {
+      modal.closeCb = null;
+      modal.close();
+      clearTimeout(handle);
+      navigator.mediaDevices.removeEventListener("devicechange", genOptions);
+      try {
+        resolve(await SelectDevice(checked.map((id) => AUDIO_GetDeviceLabel(id)), checked.slice()));
+      } catch (err) {
+        console.error("[AudioSelector] RequestUserSelectDevices error:", err);
+        resolve([false, null, null]);
+      }
+    });
+
+    navigator.mediaDevices.addEventListener("devicechange", genOptions);
+
+    genOptions();
+    modal.show();
+  }));
+}
+
+async function AUDIO_RequestUserSelectDevice(multiple = false) {
+  if (multiple) {
+    return await AUDIO_RequestUserSelectDevices();
+  }
   if (navigator.mediaDevices.selectAudioOutput) {
     try {
       const device = await navigator.mediaDevices.selectAudioOutput();
       if (device) {
         AUDIO_SaveDeviceLabel(device.deviceId, device.label || "Default");
-        if (AUDIO_CheckSinkIdOnAll(device.deviceId)) {
+        AUDIO_SetDesiredSinkId(device.deviceId);
+        if (await AUDIO_CheckSinkIdOnAll(device.deviceId)) {
           return [true, device.label || "Default", device.deviceId];
         }
         if (await AUDIO_SetSinkIdForAll(device.deviceId)) {
@@ -436,8 +948,9 @@ async function AUDIO_RequestUserSelectDevice() {
   }
 }
 
-async function AUDIO_UseDeviceByID(deviceId, label = "User defined") {
-  if (AUDIO_CheckSinkIdOnAll(deviceId)) {
+async function AUDIO_UseDeviceByID(deviceId, label = "User defined", keepMirrors = false) {
+  AUDIO_SetDesiredSinkId(deviceId, keepMirrors);
+  if (await AUDIO_CheckSinkIdOnAll(deviceId)) {
     return [true, AUDIO_GetDeviceLabel(deviceId) || label || "Some AudioOutput Device", deviceId];
   }
   if (await AUDIO_SetSinkIdForAll(deviceId)) {
@@ -447,11 +960,70 @@ async function AUDIO_UseDeviceByID(deviceId, label = "User defined") {
   return [false, null, null];
 }
 
+/**
+ * Play the tab audio on several devices at once.
+ * @param {string[]} deviceIds Ids of devices, the first one is the main device of the tab.
+ * @param {string[]} labels Labels of devices (used to find a device if id isn't valid for this page).
+ * @returns {Promise<[true, string[], string[]]|[false, null, null]>}
+ */
+async function AUDIO_MirrorDevices(deviceIds, labels = []) {
+  // Devices are enumerated once for all of them, each enumeration may ask the user for permission
+  const devices = await AUDIO_EnumerateDevices();
+  const outputs = devices?.audiooutput || [];
+  const resolved = [];
+  for (let i = 0; i < deviceIds.length; i++) {
+    const result = AUDIO_FindDevice(outputs, labels[i], deviceIds[i]);
+    if (result) resolved.push(result);
+  }
+  if (resolved.length === 0) return [false, null, null];
+
+  const main = await AUDIO_UseDeviceByID(resolved[0].deviceId, resolved[0].label);
+  if (!main[0]) return [false, null, null];
+
+  AUDIO_STATE.mirrorSinkIds = resolved.slice(1).map((device) => device.deviceId);
+  if (AUDIO_STATE.mirrorSinkIds.length > 0) {
+    const result = await AUDIO_PageCall("setSettings", [{ mirrorSinkIds: AUDIO_STATE.mirrorSinkIds }]);
+    if (!result) {
+      console.warn("[AudioSelector] Mirror mode isn't available on this page");
+      AUDIO_STATE.mirrorSinkIds = [];
+    } else {
+      // Cross-origin media without CORS can't be captured, it plays on the main device only
+      const uncaptured = await AUDIO_PageCall("getUncapturedCount");
+      if (uncaptured > 0) {
+        AUDIO_ShowToast(`${uncaptured} player(s) of this page can't be mirrored, they play on "${resolved[0].label}" only`, 5);
+      }
+    }
+  }
+
+  const used = [resolved[0], ...resolved.slice(1).filter((device) => AUDIO_STATE.mirrorSinkIds.includes(device.deviceId))];
+  return [true, used.map((device) => device.label), used.map((device) => device.deviceId)];
+}
+
+/**
+ * Find a device by id or label among output devices.
+ * @param {MediaDeviceInfo[]} outputs Available output devices.
+ * @param {string} label
+ * @param {string} deviceId
+ * @returns {{label: string, deviceId: string}|null}
+ */
+function AUDIO_FindDevice(outputs, label, deviceId) {
+  let device = deviceId ? outputs.find((device) => device.deviceId === deviceId) : null;
+  if (!device && label) {
+    device = outputs.find((device) => device.label.indexOf(label) >= 0);
+  }
+  return device || null;
+}
+
 const SelectDevice = async function(label, deviceId) {
   if (!label && !deviceId) {
     return await AUDIO_RequestUserSelectDevice();
   }
 
+  // Mirror mode - list of devices
+  if (Array.isArray(deviceId)) {
+    return await AUDIO_MirrorDevices(deviceId, Array.isArray(label) ? label : []);
+  }
+
   let device = null;
   if (deviceId && navigator.mediaDevices?.selectAudioOutput) {
     try {
@@ -491,4 +1063,562 @@ function AUDIO_SelectDevice(label, deviceId) {
   return SelectDevice(label, deviceId);
 }
 
+// Volumes set by the page for media elements scaled by AUDIO_SetVolume (without page script), by element
+const AUDIO_PAGE_VOLUMES = new WeakMap();
+
+/**
+ * Scale the volume set by the page for the media element, 100% gives back the page value.
+ * @param {HTMLMediaElement} element
+ * @param {number} volume Volume level from 0 to 1.
+ * @noreturn
+ */
+function AUDIO_ScaleElementVolume(element, volume) {
+  const known = AUDIO_PAGE_VOLUMES.get(element);
+  // If the volume differs from the scaled one, the page changed it since then
+  const pageVolume = known && element.volume === known.applied ? known.page : element.volume;
+  if (volume === 1) {
+    element.volume = pageVolume;
+    AUDIO_PAGE_VOLUMES.delete(element);
+    return;
+  }
+  element.volume = pageVolume * volume;
+  AUDIO_PAGE_VOLUMES.set(element, { page: pageVolume, applied: element.volume });
+}
+
+/**
+ * Set the volume level of the tab (page AudioContexts and media elements).
+ * @param {number} volume Volume level from 0 (muted) to 4 (400%).
+ * @returns {Promise<boolean>} True if the volume was applied, false otherwise.
+ */
+async function AUDIO_SetVolume(volume) {
+  const result = await AUDIO_PageCall("setSettings", [{ volume }]);
+  if (result) return true;
+
+  // No page script - at least attenuate media elements, keeping volumes set by the page player
+  if (volume <= 1) {
+    document.querySelectorAll("audio, video").forEach((el) => {
+      AUDIO_ScaleElementVolume(el, volume);
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Apply audio processing settings to the tab (see PAGE.settings in audio_page.js).
+ * @param {Object} settings Settings to change, others are kept.
+ * @returns {Promise<boolean>} True if the settings were applied, false otherwise.
+ */
+async function AUDIO_SetProcessing(settings) {
+  const pageSettings = Object.assign({}, settings);
+  // Page script knows nothing about presets
+  if (settings.hasOwnProperty("equalizerPreset")) {
+    pageSettings.equalizer = AUDIO_GetEqualizerGains(settings.equalizerPreset, settings.equalizerGains);
+    delete pageSettings.equalizerPreset;
+    delete pageSettings.equalizerGains;
+  }
+  if (settings.hasOwnProperty("compressorPreset")) {
+    const preset = AUDIO_COMPRESSOR_PRESETS[settings.compressorPreset];
+    pageSettings.compressor = preset ? Object.assign({}, preset.params) : null;
+    delete pageSettings.compressorPreset;
+    delete pageSettings.lastCompressorPreset;
+  }
+  return !!(await AUDIO_PageCall("setSettings", [pageSettings]));
+}
+
+/**
+ * Turn the compressor of the tab on (with the last used preset) or off and notify the user.
+ * @param {Object} settings Current processing settings of the tab.
+ * @returns {Promise<Object>} Changed processing settings.
+ */
+async function AUDIO_ToggleCompressor(settings = {}) {
+  const next = Object.assign({}, settings);
+  if (AUDIO_COMPRESSOR_PRESETS[settings.compressorPreset]) {
+    next.lastCompressorPreset = settings.compressorPreset;
+    next.compressorPreset = "";
+    AUDIO_ShowToast("Compressor: Off");
+  } else {
+    next.compressorPreset = AUDIO_COMPRESSOR_PRESETS[settings.lastCompressorPreset] ? settings.lastCompressorPreset : "meeting";
+    AUDIO_ShowToast(`Compressor: ${AUDIO_COMPRESSOR_PRESETS[next.compressorPreset].label}`);
+  }
+  return next;
+}
+
+/**
+ * Switch the equalizer of the tab to the next preset and notify the user.
+ * @param {Object} settings Current processing settings of the tab.
+ * @returns {Promise<Object>} Changed processing settings.
+ */
+async function AUDIO_CycleEqualizerPreset(settings = {}) {
+  const presets = Object.keys(AUDIO_EQ_PRESETS).filter((name) => {
+    // Custom preset is in the cycle only if it was configured
+    return name !== "custom" || (Array.isArray(settings.equalizerGains) && settings.equalizerGains.some((gain) => gain));
+  });
+  const index = presets.indexOf(settings.equalizerPreset || "flat");
+  const next = Object.assign({}, settings, { equalizerPreset: presets[(index + 1) % presets.length] });
+  AUDIO_ShowToast(`Equalizer: ${AUDIO_EQ_PRESETS[next.equalizerPreset].label}`);
+  return next;
+}
+
+/**
+ * Format the stereo balance value for the user.
+ * @param {number} balance Balance from -100 (left) to 100 (right).
+ * @returns {string}
+ */
+function AUDIO_FormatBalance(balance) {
+  if (balance < 0) return `L ${-balance}%`;
+  if (balance > 0) return `R ${balance}%`;
+  return "Center";
+}
+
+/**
+ * Show the panel with audio processing settings of the tab, changes are applied immediately.
+ * @param {Object} settings Current processing settings of the tab.
+ * @returns {Promise<Object>} Processing settings when the panel is closed.
+ */
+async function AUDIO_ShowProcessingPanel(settings = {}) {
+  const current = Object.assign({
+    balance: 0, swapChannels: false, mono: false, equalizerPreset: "", equalizerGains: [], compressorPreset: "",
+  }, settings);
+  const apply = () => {
+    AUDIO_SetProcessing(current).then((ok) => {
+      if (!ok) console.warn("[AudioSelector] Audio processing isn't available on this page");
+    });
+  };
+
+  const body = document.createElement("div");
+  const addRow = (labelText, control) => {
+    const row = document.createElement("label");
+    row.style.display = "block";
+    row.style.marginBottom = "10px";
+    row.style.cursor = "pointer";
+    const label = document.createElement("div");
+    label.innerText = labelText;
+    row.appendChild(label);
+    row.appendChild(control);
+    body.appendChild(row);
+    return label;
+  };
+  const addCheckbox = (labelText, key) => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = !!current[key];
+    checkbox.addEventListener("change", () => {
+      current[key] = checkbox.checked;
+      apply();
+    });
+    const label = addRow(labelText, checkbox);
+    label.style.display = "inline";
+    label.style.marginRight = "8px";
+    return checkbox;
+  };
+  const addSelect = (labelText, options, value) => {
+    const select = document.createElement("select");
+    select.style.width = "100%";
+    select.style.padding = "4px";
+    select.style.borderRadius = "5px";
+    select.style.border = "1px solid #ccc";
+    [{ value: "", label: "Off" }].concat(options).forEach((item) => {
+      const option = document.createElement("option");
+      option.value = item.value;
+      option.innerText = item.label;
+      select.appendChild(option);
+    });
+    select.value = value || "";
+    addRow(labelText, select);
+    return select;
+  };
+
+  const balance = document.createElement("input");
+  balance.type = "range";
+  balance.min = "-100";
+  balance.max = "100";
+  balance.step = "5";
+  balance.value = String(current.balance);
+  balance.style.width = "100%";
+  const balanceLabel = addRow(`Balance: ${AUDIO_FormatBalance(current.balance)}`, balance);
+  balance.addEventListener("input", () => {
+    current.balance = Number(balance.value);
+    balanceLabel.innerText = `Balance: ${AUDIO_FormatBalance(current.balance)}`;
+    apply();
+  });
+  addCheckbox("Swap left and right channels", "swapChannels");
+  addCheckbox("Mono", "mono");
+
+  // Equalizer: preset and band sliders (changing of any band switches to custom preset)
+  const preset = addSelect("Equalizer", AUDIO_GetEqualizerPresets(), current.equalizerPreset);
+
+  const bands = document.createElement("div");
+  bands.style.display = "flex";
+  bands.style.justifyContent = "space-between";
+  bands.style.marginBottom = "10px";
+  const sliders = AUDIO_EQ_BANDS.map((band, index) => {
+    const column = document.createElement("div");
+    column.style.textAlign = "center";
+    column.style.fontSize = "12px";
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "-12";
+    slider.max = "12";
+    slider.step = "1";
+    slider.style.writingMode = "vertical-lr";
+    slider.style.direction = "rtl";
+    slider.style.height = "90px";
+    slider.style.width = "24px";
+    slider.addEventListener("input", () => {
+      const gains = AUDIO_GetEqualizerGains(current.equalizerPreset || "flat", current.equalizerGains);
+      gains[index] = Number(slider.value);
+      current.equalizerPreset = "custom";
+      current.equalizerGains = gains;
+      preset.value = "custom";
+      apply();
+    });
+    const label = document.createElement("div");
+    label.innerText = band;
+    column.appendChild(slider);
+    column.appendChild(label);
+    bands.appendChild(column);
+    return slider;
+  });
+  body.appendChild(bands);
+  const updateSliders = () => {
+    const gains = AUDIO_GetEqualizerGains(current.equalizerPreset, current.equalizerGains);
+    sliders.forEach((slider, index) => {
+      slider.value = String(gains[index] || 0);
+      slider.disabled = !current.equalizerPreset;
+    });
+  };
+  preset.addEventListener("change", () => {
+    current.equalizerPreset = preset.value;
+    updateSliders();
+    apply();
+  });
+  updateSliders();
+
+  const compressor = addSelect("Compressor", AUDIO_GetCompressorPresets(), current.compressorPreset);
+  compressor.addEventListener("change", () => {
+    current.compressorPreset = compressor.value;
+    apply();
+  });
+
+  return await (new Promise((resolve) => {
+    const modal = new Modal("Audio settings for this tab", body, () => {
+      resolve(current);
+    });
+    modal.show();
+  }));
+}
+
+/**
+ * Select the audio device without any user interaction (embedded frames, restoring of the device after reload).
+ * Device ids are origin-scoped, so the device is searched by label first and the id is used as is only
+ * when frame has no permission to see device labels (works for same-origin frames).
+ * @param {string} label The label of the device selected in the top frame.
+ * @param {string} deviceId The id of the device selected in the top frame.
+ * @returns {Promise<[true, string, string]|[false, null, null]>}
+ */
+async function AUDIO_SelectDeviceInFrame(label, deviceId) {
+  const devices = await AUDIO_EnumerateDevices(true);
+  const outputs = devices?.audiooutput || [];
+  let device = outputs.find((device) => device.deviceId === deviceId);
+  if (!device && label) {
+    device = outputs.find((device) => device.label === label) || outputs.find((device) => device.label.indexOf(label) >= 0);
+  }
+
+  if (device) {
+    AUDIO_SaveDeviceLabel(device.deviceId, device.label);
+    return await AUDIO_UseDeviceByID(device.deviceId, device.label);
+  }
+  // Without id the device can't be found (no permission to see labels), the browser default isn't the requested device
+  if (!deviceId && label) return [false, null, null];
+  return await AUDIO_UseDeviceByID(deviceId, label);
+}
+
+/**
+ * Reset the audio output device for this tab to the browser default and stop routing new media.
+ * @returns {Promise<boolean>} True if all media was reset successfully, false otherwise.
+ */
+async function AUDIO_ResetDevice() {
+  AUDIO_STATE.sinkId = null;
+  AUDIO_StopObserveMediaElements();
+  AUDIO_StopWatchDeviceChanges();
+
+  let bResult = true;
+  const elems = document.querySelectorAll("audio, video");
+  for (let i = 0; i < elems.length; i++) {
+    const el = elems[i];
+    if (!(el instanceof HTMLMediaElement)) continue;
+    el.removeAttribute("data-audio-selector-sink-id");
+    el.removeAttribute("data-audio-selector-sink-lock");
+    if (el.sinkId !== "") {
+      try {
+        await el.setSinkId("");
+      } catch (err) {
+        bResult = false;
+      }
+    }
+  }
+  AUDIO_STATE.mirrorSinkIds = [];
+  if ((await AUDIO_PageCall("resetSinkId")) === false) {
+    bResult = false;
+  }
+  return bResult;
+}
+
+/**
+ * Get all media elements of the document, including ones inside open shadow roots.
+ * @returns {HTMLMediaElement[]}
+ */
+function AUDIO_GetMediaElements() {
+  const result = [];
+  const collect = (root) => {
+    root.querySelectorAll("*").forEach((el) => {
+      if (el instanceof HTMLMediaElement) result.push(el);
+      if (el.shadowRoot) collect(el.shadowRoot);
+    });
+  };
+  collect(document);
+  return result;
+}
+
+/**
+ * Get human readable title of the media element.
+ * @param {HTMLMediaElement} element
+ * @param {number} index Index of the element in the list.
+ * @returns {string}
+ */
+function AUDIO_GetMediaElementTitle(element, index) {
+  const title = element.title || element.getAttribute("aria-label");
+  if (title) return title;
+  const src = element.currentSrc || element.src;
+  if (src && !src.startsWith("blob:") && !src.startsWith("data:")) {
+    try {
+      const name = new URL(src).pathname.split("/").filter((part) => part).pop();
+      if (name) return decodeURIComponent(name);
+    } catch (err) { }
+  }
+  return `${element instanceof HTMLVideoElement ? "Video" : "Audio"} #${index + 1}`;
+}
+
+/**
+ * Create a thumbnail for the media element: current video frame, poster or icon.
+ * @param {HTMLMediaElement} element
+ * @returns {HTMLElement}
+ */
+function AUDIO_CreateMediaElementThumbnail(element) {
+  const width = 96;
+  const height = 54;
+  if (element instanceof HTMLVideoElement && element.videoWidth > 0) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.style.borderRadius = "4px";
+    canvas.style.backgroundColor = "black";
+    try {
+      // Drawing of cross-origin video is allowed, only reading pixels back is restricted
+      canvas.getContext("2d").drawImage(element, 0, 0, width, height);
+      return canvas;
+    } catch (err) { }
+  }
+  if (element instanceof HTMLVideoElement && element.poster) {
+    const img = document.createElement("img");
+    img.src = element.poster;
+    img.style.width = width + "px";
+    img.style.height = height + "px";
+    img.style.objectFit = "cover";
+    img.style.borderRadius = "4px";
+    return img;
+  }
+  const icon = document.createElement("div");
+  icon.innerText = element instanceof HTMLVideoElement ? "🎬" : "🔊";
+  icon.style.width = width + "px";
+  icon.style.height = height + "px";
+  icon.style.lineHeight = height + "px";
+  icon.style.fontSize = "28px";
+  icon.style.textAlign = "center";
+  icon.style.backgroundColor = "#eee";
+  icon.style.borderRadius = "4px";
+  return icon;
+}
+
+/**
+ * Overlay to highlight a media element on the page.
+ */
+class MediaHighlight {
+  constructor() {
+    this.element = null;
+  }
+
+  show(target) {
+    const rect = target.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      this.hide();
+      return;
+    }
+    if (!this.element) {
+      this.element = document.createElement("div");
+      this.element.className = "audio-selector-highlight";
+      this.element.style.position = "fixed";
+      this.element.style.zIndex = "9997";
+      this.element.style.pointerEvents = "none";
+      this.element.style.border = "3px solid #0063b1";
+      this.element.style.borderRadius = "4px";
+      this.element.style.backgroundColor = "rgba(0, 99, 177, 0.25)";
+      this.element.style.boxSizing = "border-box";
+      document.body.appendChild(this.element);
+    }
+    target.scrollIntoView({ block: "nearest", inline: "nearest" });
+    const visibleRect = target.getBoundingClientRect();
+    this.element.style.top = visibleRect.top + "px";
+    this.element.style.left = visibleRect.left + "px";
+    this.element.style.width = visibleRect.width + "px";
+    this.element.style.height = visibleRect.height + "px";
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+/**
+ * Assign the audio device to a single media element.
+ * @param {HTMLMediaElement} element
+ * @param {string|null} deviceId The device id, or null to follow the device selected for the whole tab.
+ * @returns {Promise<boolean>} True if the device was assigned successfully, false otherwise.
+ */
+async function AUDIO_SetSinkIdForElement(element, deviceId) {
+  try {
+    if (typeof deviceId === "string") {
+      element.setAttribute("data-audio-selector-sink-lock", "true");
+      await AUDIO_WatchMediaElement(element, deviceId);
+    } else {
+      element.removeAttribute("data-audio-selector-sink-lock");
+      if (typeof AUDIO_STATE.sinkId === "string") {
+        await AUDIO_WatchMediaElement(element, AUDIO_STATE.sinkId);
+      } else {
+        element.removeAttribute("data-audio-selector-sink-id");
+        await element.setSinkId("");
+      }
+    }
+    return true;
+  } catch (err) {
+    console.error("[AudioSelector] SetSinkIdForElement error:", err);
+    return false;
+  }
+}
+
+/**
+ * Show the modal with all media elements of the page and let the user assign a device to each of them.
+ * @returns {Promise<{elements: number, assigned: number}>} Count of found elements and elements with own device.
+ */
+async function AUDIO_RequestUserSelectPerElement() {
+  const elements = AUDIO_GetMediaElements();
+  if (elements.length === 0) {
+    const modal = new Modal("Select audio output per player", "No audio or video players found on this page (players inside embedded frames are not searched).", null, 5);
+    modal.show();
+    return { elements: 0, assigned: 0 };
+  }
+
+  const devices = await AUDIO_EnumerateDevices();
+  const audioOutputDevices = devices.audiooutput || [];
+  const highlight = new MediaHighlight();
+
+  // Close the modal when the user doesn't change anything for a while
+  let handle = null;
+  let modal = null;
+  const restartTimeout = () => {
+    clearTimeout(handle);
+    handle = setTimeout(() => {
+      if (modal) modal.close();
+    }, 30000); // 30 seconds timeout
+  };
+
+  const list = document.createElement("div");
+  const note = document.createElement("p");
+  note.innerText = "Only players of this page are listed, players inside embedded frames (e.g. embedded videos) are not covered.";
+  note.style.fontSize = "12px";
+  note.style.color = "#555";
+  note.style.marginTop = "0";
+  list.appendChild(note);
+  elements.forEach((element, index) => {
+    const item = document.createElement("div");
+    item.style.display = "flex";
+    item.style.alignItems = "center";
+    item.style.gap = "10px";
+    item.style.padding = "6px";
+    item.style.marginBottom = "6px";
+    item.style.borderRadius = "6px";
+    item.style.border = "1px solid #ddd";
+
+    item.appendChild(AUDIO_CreateMediaElementThumbnail(element));
+
+    const info = document.createElement("div");
+    info.style.flex = "1";
+    info.style.minWidth = "0";
+    const title = document.createElement("div");
+    title.innerText = AUDIO_GetMediaElementTitle(element, index);
+    title.style.fontWeight = "bold";
+    title.style.overflow = "hidden";
+    title.style.textOverflow = "ellipsis";
+    title.style.whiteSpace = "nowrap";
+    info.appendChild(title);
+
+    const select = document.createElement("select");
+    select.style.width = "100%";
+    select.style.padding = "4px";
+    select.style.borderRadius = "5px";
+    select.style.border = "1px solid #ccc";
+    select.style.cursor = "pointer";
+    const tabOption = document.createElement("option");
+    tabOption.value = "";
+    tabOption.innerText = "Same as tab";
+    select.appendChild(tabOption);
+    audioOutputDevices.forEach((device) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.innerText = device.label || "Default";
+      select.appendChild(option);
+    });
+    if (AUDIO_IsSinkLocked(element)) {
+      select.value = element.getAttribute("data-audio-selector-sink-id") || "";
+    }
+    select.addEventListener("change", async () => {
+      restartTimeout();
+      const ok = await AUDIO_SetSinkIdForElement(element, select.value ? select.value : null);
+      select.style.borderColor = ok ? "#ccc" : "red";
+    });
+    info.appendChild(select);
+    item.appendChild(info);
+
+    item.addEventListener("mouseenter", () => highlight.show(element));
+    item.addEventListener("mouseleave", () => highlight.hide());
+    select.addEventListener("focus", () => highlight.show(element));
+    select.addEventListener("blur", () => highlight.hide());
+    list.appendChild(item);
+  });
+
+  return await (new Promise((resolve) => {
+    modal = new Modal("Select audio output per player", list, () => {
+      clearTimeout(handle);
+      highlight.hide();
+      resolve({
+        elements: elements.length,
+        assigned: elements.filter((element) => AUDIO_IsSinkLocked(element)).length,
+      });
+    });
+    modal.show();
+    modal.modalElement.style.width = "440px";
+    restartTimeout();
+  }));
+}
+
+// Let the background know about connected devices (top frames of web pages only)
+if (window === window.top && /^https?:$/.test(location.protocol) && navigator.mediaDevices?.addEventListener) {
+  navigator.mediaDevices.addEventListener("devicechange", AUDIO_ReportDevices);
+  AUDIO_ReportDevices();
+}
+
 }
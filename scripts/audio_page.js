@@ -0,0 +1,1204 @@
+// Page (main world) script for all tabs to controll audio devices
+// Content scripts run in an isolated world and can't see objects created by the page itself
+// (AudioContext instances, etc.), so this part is injected into the page world and talks
+// with audio.js through DOM events on the document.
+
+if (!window._AUDIOSELECTOR_PAGE) {
+window._AUDIOSELECTOR_PAGE = true; // Flag to indicate that this script is running
+
+const PAGE_REQUEST_EVENT = "audioselector-page-request";
+const PAGE_RESPONSE_EVENT = "audioselector-page-response";
+const PAGE_READY_ATTRIBUTE = "data-audio-selector-page";
+
+const PAGE = {
+  // Last sinkId selected for the page, applied to contexts created later
+  sinkId: null,
+  // All known AudioContext instances created by the page
+  contexts: new Set(),
+  // Media elements that can't be found by the content script (detached or inside shadow roots), as weak references
+  elements: new Set(),
+  // The same elements for quick checks if an element is already tracked
+  trackedElements: new WeakSet(),
+  // Shadow roots attached by the page (including closed ones), as weak references
+  shadowRoots: new Set(),
+  // The same shadow roots for quick checks if a root is already tracked
+  trackedShadowRoots: new WeakSet(),
+  // Open shadow roots attached before this script was injected are searched once, when they are needed first
+  shadowRootsScanned: false,
+  // Original AudioContext constructor (page one is replaced by tracking wrapper)
+  NativeAudioContext: window.AudioContext,
+  // Original AudioNode.connect() and AudioNode.disconnect()
+  nativeConnect: typeof AudioNode === "function" ? AudioNode.prototype.connect : null,
+  nativeDisconnect: typeof AudioNode === "function" ? AudioNode.prototype.disconnect : null,
+  // Original HTMLMediaElement.play()
+  nativePlay: HTMLMediaElement.prototype.play,
+  // Original HTMLMediaElement.volume property
+  nativeVolume: Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, "volume"),
+  // Audio processing settings of the tab
+  settings: {
+    volume: 1,
+    // Additional devices to duplicate audio to
+    mirrorSinkIds: [],
+    // Stereo balance from -100 (only left) to 100 (only right)
+    balance: 0,
+    // Swap left and right channels
+    swapChannels: false,
+    // Downmix to mono
+    mono: false,
+    // Equalizer band gains in dB (see PAGE_EQ_FREQUENCIES), empty - equalizer is off
+    equalizer: [],
+    // Dynamics compressor parameters (see PAGE_NormalizeCompressor), null - compressor is off
+    compressor: null,
+    // Delay of the main output in ms (to play in sync with slower mirrored devices)
+    delay: 0,
+    // Delays of mirrored outputs in ms, by sink id
+    mirrorDelays: {},
+  },
+  // Processing chains of page contexts (by context) and of captured media elements (by element)
+  chains: new Map(),
+  // Nodes connected to the destination of a context without chain (processing is bypassed), by context
+  directConnections: new Map(),
+  // Shared context of captured media elements (created when the first element is captured)
+  elementContext: null,
+  // Outputs of the shared context to devices other than its own, by sinkId: {stream, player}
+  elementOutputs: new Map(),
+  // Media elements captured by the page itself, their audio is processed by the chain of the page context
+  pageElements: new WeakSet(),
+};
+
+// Maximal volume level (400%)
+const PAGE_MAX_VOLUME = 4;
+// Center frequencies of equalizer bands
+const PAGE_EQ_FREQUENCIES = [60, 230, 910, 3600, 14000];
+// Limit of equalizer band gain in dB
+const PAGE_EQ_MAX_GAIN = 12;
+// Maximal output delay in ms
+const PAGE_MAX_DELAY = 1000;
+// Limits of DynamicsCompressorNode parameters and of the make-up gain (dB)
+const PAGE_COMPRESSOR_LIMITS = {
+  threshold: [-100, 0],
+  knee: [0, 40],
+  ratio: [1, 20],
+  attack: [0, 1],
+  release: [0, 1],
+  makeupGain: [0, 24],
+};
+
+/**
+ * Check if AudioContext.setSinkId() is supported by the browser.
+ * @returns {boolean}
+ */
+function PAGE_IsContextSinkSupported() {
+  return typeof window.AudioContext === "function" && typeof window.AudioContext.prototype.setSinkId === "function";
+}
+
+/**
+ * Get the sinkId of the context as string (empty string for default device).
+ * @param {AudioContext} context
+ * @returns {string|null} The sinkId or null if the context doesn't output audio at all.
+ */
+function PAGE_GetContextSinkId(context) {
+  const sinkId = context.sinkId;
+  if (typeof sinkId === "string") return sinkId;
+  // AudioSinkInfo - {type: "none"}, context not produce any sound
+  return null;
+}
+
+async function PAGE_WatchAudioContext(context, id) {
+  if (!(context instanceof BaseAudioContext) || typeof context.setSinkId !== "function") return;
+  if (context.state === "closed") return;
+
+  // Check if the sinkId is different
+  if (PAGE_GetContextSinkId(context) !== id) await context.setSinkId(id);
+
+  // Always store selected sinkId
+  context._audioSelectorSinkId = id;
+
+  // Check, maybe me watching it now
+  if (context._audioSelectorWatching) return;
+  context._audioSelectorWatching = true;
+
+  // Context can be resumed after the device was changed - ensure it still uses the selected one
+  context.addEventListener("statechange", () => {
+    if (context.state === "closed") return;
+    const selected = context._audioSelectorSinkId;
+    if (typeof selected === "string" && PAGE_GetContextSinkId(context) !== selected) {
+      context.setSinkId(selected).catch((err) => {
+        console.warn("[AudioSelector] Failed to restore AudioContext sinkId:", err);
+      });
+    }
+  });
+}
+
+/**
+ * Forget a closed context, so it (and its processing chain) can be garbage collected.
+ * @param {BaseAudioContext} context
+ */
+function PAGE_ForgetAudioContext(context) {
+  PAGE.contexts.delete(context);
+  PAGE.directConnections.delete(context);
+  PAGE.chains.get(context)?.dispose();
+  PAGE.chains.delete(context);
+}
+
+/**
+ * Forget all closed contexts, in case "statechange" event was missed.
+ */
+function PAGE_PruneAudioContexts() {
+  PAGE.contexts.forEach((context) => {
+    if (context.state === "closed") PAGE_ForgetAudioContext(context);
+  });
+}
+
+/**
+ * Remember a context created by the page and apply the selected sinkId to it.
+ * The context is forgotten when it's closed.
+ * @param {BaseAudioContext} context
+ */
+function PAGE_TrackAudioContext(context) {
+  if (!context || context._audioSelectorInternal || PAGE.contexts.has(context) || context.state === "closed") return;
+  if (typeof OfflineAudioContext === "function" && context instanceof OfflineAudioContext) return;
+  PAGE.contexts.add(context);
+  context.addEventListener("statechange", () => {
+    if (context.state === "closed") PAGE_ForgetAudioContext(context);
+  });
+  if (typeof PAGE.sinkId === "string") {
+    PAGE_WatchAudioContext(context, PAGE.sinkId).catch((err) => {
+      console.warn("[AudioSelector] Failed to set sinkId for new AudioContext:", err);
+    });
+  }
+}
+
+function PAGE_HookAudioContext() {
+  const NativeAudioContext = window.AudioContext;
+  if (typeof NativeAudioContext !== "function") return;
+
+  // Track all contexts created from now on
+  const HookedAudioContext = class AudioContext extends NativeAudioContext {
+    constructor(...args) {
+      super(...args);
+      PAGE_TrackAudioContext(this);
+    }
+  };
+  window.AudioContext = HookedAudioContext;
+  if (window.webkitAudioContext === NativeAudioContext) {
+    window.webkitAudioContext = HookedAudioContext;
+  }
+
+  // Contexts created before this script was injected are unknown,
+  // but they will be caught as soon as they produce any new sound
+  const methods = [
+    "createBufferSource",
+    "createOscillator",
+    "createMediaElementSource",
+    "createMediaStreamSource",
+    "createConstantSource",
+    "resume",
+  ];
+  methods.forEach((method) => {
+    const native = NativeAudioContext.prototype[method] || BaseAudioContext.prototype[method];
+    if (typeof native !== "function") return;
+    NativeAudioContext.prototype[method] = function (...args) {
+      PAGE_TrackAudioContext(this);
+      return native.apply(this, args);
+    };
+  });
+}
+
+// Same logic as AUDIO_WatchMediaElement in audio.js and same attributes,
+// so the element is watched only once in any world
+async function PAGE_WatchMediaElement(element, id) {
+  if (!(element instanceof HTMLMediaElement) || typeof element.setSinkId !== "function") return;
+
+  // Check if the sinkId is different
+  if (element.sinkId !== id) await element.setSinkId(id);
+
+  // Always store selected sinkId
+  element.setAttribute("data-audio-selector-sink-id", id);
+
+  // Check, maybe me watching it now
+  if (element.hasAttribute("data-audio-selector-watching")) return;
+  element.setAttribute("data-audio-selector-watching", "true");
+
+  // On emptied event - clear the sinkId
+  // It need to fix bug when after change audio source device works incorrectly
+  element.addEventListener("emptied", () => {
+    element.setSinkId("");
+  });
+  element.addEventListener("ended", () => {
+    element.setSinkId("");
+  });
+
+  // And reset sinkId when started
+  element.addEventListener("playing", () => {
+    element.setSinkId(element.getAttribute("data-audio-selector-sink-id") || "");
+  });
+}
+
+/**
+ * Check if the media element has its own device assigned (see AUDIO_IsSinkLocked in audio.js).
+ * @param {HTMLMediaElement} element
+ * @returns {boolean}
+ */
+function PAGE_IsSinkLocked(element) {
+  return element.hasAttribute("data-audio-selector-sink-lock");
+}
+
+/**
+ * Remember a media element that isn't reachable from the document (detached or in a shadow root).
+ * Elements are stored as weak references, so page can freely drop them.
+ * @param {HTMLMediaElement} element
+ * @returns {boolean} True if the element is tracked, false if it is a regular document element.
+ */
+function PAGE_TrackMediaElement(element) {
+  if (element.isConnected && element.getRootNode() === document) return false;
+  if (PAGE.trackedElements.has(element)) return true;
+  PAGE.trackedElements.add(element);
+  PAGE.elements.add(new WeakRef(element));
+  return true;
+}
+
+/**
+ * Get all media elements unreachable from the document: tracked detached elements and
+ * elements inside known shadow roots.
+ * @returns {HTMLMediaElement[]}
+ */
+function PAGE_GetHiddenMediaElements() {
+  PAGE_ScanShadowRoots();
+  const result = new Set();
+  for (const ref of Array.from(PAGE.elements)) {
+    const element = ref.deref();
+    if (!element) {
+      PAGE.elements.delete(ref);
+    } else if (!element.isConnected || element.getRootNode() !== document) {
+      result.add(element);
+    }
+  }
+  for (const ref of Array.from(PAGE.shadowRoots)) {
+    const root = ref.deref();
+    if (!root) {
+      PAGE.shadowRoots.delete(ref);
+      continue;
+    }
+    root.querySelectorAll("audio, video").forEach((element) => result.add(element));
+  }
+  return Array.from(result);
+}
+
+/**
+ * Route a media element that is going to play to the selected sinkId.
+ * @param {HTMLMediaElement} element
+ * @returns {Promise<void>}
+ * @nothrows
+ */
+async function PAGE_RouteMediaElement(element) {
+  if (typeof PAGE.sinkId !== "string" || PAGE_IsSinkLocked(element)) return;
+  try {
+    await PAGE_WatchMediaElement(element, PAGE.sinkId);
+  } catch (err) {
+    console.warn("[AudioSelector] Failed to set sinkId for media element:", err);
+  }
+}
+
+/**
+ * Observe a shadow root for media elements added to it.
+ * @param {ShadowRoot} root
+ */
+function PAGE_TrackShadowRoot(root) {
+  if (!root || PAGE.trackedShadowRoots.has(root)) return;
+  PAGE.trackedShadowRoots.add(root);
+  PAGE.shadowRoots.add(new WeakRef(root));
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach((node) => {
+        if (node instanceof HTMLMediaElement) {
+          PAGE_RouteMediaElement(node);
+        } else if (node instanceof Element) {
+          node.querySelectorAll("audio, video").forEach(PAGE_RouteMediaElement);
+        }
+      });
+    }
+  });
+  observer.observe(root, { childList: true, subtree: true });
+}
+
+/**
+ * Find open shadow roots attached before this script was injected (nested ones too).
+ * It's done once, when hidden media elements are needed first, and only shadow hosts are picked from the tree.
+ */
+function PAGE_ScanShadowRoots() {
+  if (PAGE.shadowRootsScanned) return;
+  PAGE.shadowRootsScanned = true;
+  const scan = (root) => {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: (node) => node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP,
+    });
+    for (let host = walker.nextNode(); host; host = walker.nextNode()) {
+      if (PAGE.trackedShadowRoots.has(host.shadowRoot)) continue;
+      PAGE_TrackShadowRoot(host.shadowRoot);
+      scan(host.shadowRoot);
+    }
+  };
+  scan(document);
+}
+
+function PAGE_HookMediaElements() {
+  // Catch playback of all media elements - detached `new Audio()` objects too
+  const nativePlay = PAGE.nativePlay;
+  HTMLMediaElement.prototype.play = function (...args) {
+    if (this._audioSelectorInternal) return nativePlay.apply(this, args);
+    PAGE_TrackMediaElement(this);
+    PAGE_ProcessMediaElement(this);
+    // Device is changed alongside, native play() is still called synchronously:
+    // waiting for setSinkId() would change the promise timing and could lose the user activation needed for autoplay
+    if (typeof PAGE.sinkId === "string" && this.sinkId !== PAGE.sinkId && !PAGE_IsSinkLocked(this)) {
+      PAGE_RouteMediaElement(this);
+    }
+    return nativePlay.apply(this, args);
+  };
+
+  // Catch all shadow roots (even closed ones)
+  const nativeAttachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (...args) {
+    const root = nativeAttachShadow.apply(this, args);
+    PAGE_TrackShadowRoot(root);
+    return root;
+  };
+
+  // Autoplay media doesn't call play(), but still fires "play" event
+  document.addEventListener("play", (event) => {
+    PAGE_ProcessMediaElement(event.target);
+  }, true);
+}
+
+/**
+ * Processing stages of the chain, in order from input to output.
+ * Each stage:
+ * - name - name of the stage
+ * - enabled(settings) - if the stage is needed for the settings
+ * - create(context) - create stage nodes, returns {input: AudioNode, output: AudioNode, update(settings)},
+ *   optionally: dispose() - release resources, getSinkIds() - devices used by the stage
+ */
+const PAGE_STAGES = [
+  {
+    // Channels matrix: balance, swap and mono downmix
+    name: "channels",
+    enabled: (settings) => settings.balance !== 0 || settings.swapChannels || settings.mono,
+    create: (context) => {
+      const input = context.createGain();
+      // Mono sources are upmixed to stereo before splitting
+      input.channelCount = 2;
+      input.channelCountMode = "explicit";
+      input.channelInterpretation = "speakers";
+      const splitter = context.createChannelSplitter(2);
+      const merger = context.createChannelMerger(2);
+      PAGE.nativeConnect.call(input, splitter);
+      // Gain from each input channel (first letter) to each output channel (second letter)
+      const gains = {};
+      [["ll", 0, 0], ["lr", 0, 1], ["rl", 1, 0], ["rr", 1, 1]].forEach(([name, from, to]) => {
+        gains[name] = context.createGain();
+        PAGE.nativeConnect.call(splitter, gains[name], from);
+        PAGE.nativeConnect.call(gains[name], merger, 0, to);
+      });
+      return {
+        input: input,
+        output: merger,
+        update: (settings) => {
+          let matrix = settings.swapChannels ? { ll: 0, lr: 1, rl: 1, rr: 0 } : { ll: 1, lr: 0, rl: 0, rr: 1 };
+          if (settings.mono) matrix = { ll: 0.5, lr: 0.5, rl: 0.5, rr: 0.5 };
+          const balance = settings.balance / 100;
+          const left = balance > 0 ? 1 - balance : 1;
+          const right = balance < 0 ? 1 + balance : 1;
+          matrix.ll *= left;
+          matrix.rl *= left;
+          matrix.lr *= right;
+          matrix.rr *= right;
+          for (const name in gains) {
+            gains[name].gain.setTargetAtTime(matrix[name], context.currentTime, 0.02);
+          }
+        },
+      };
+    },
+  },
+  {
+    // Multi-band equalizer: low shelf, peaking filters and high shelf
+    name: "equalizer",
+    enabled: (settings) => settings.equalizer.some((gain) => gain !== 0),
+    create: (context) => {
+      const filters = PAGE_EQ_FREQUENCIES.map((frequency, index) => {
+        const filter = context.createBiquadFilter();
+        if (index === 0) {
+          filter.type = "lowshelf";
+        } else if (index === PAGE_EQ_FREQUENCIES.length - 1) {
+          filter.type = "highshelf";
+        } else {
+          filter.type = "peaking";
+          filter.Q.value = 1;
+        }
+        filter.frequency.value = frequency;
+        return filter;
+      });
+      for (let i = 1; i < filters.length; i++) {
+        PAGE.nativeConnect.call(filters[i - 1], filters[i]);
+      }
+      return {
+        input: filters[0],
+        output: filters[filters.length - 1],
+        update: (settings) => {
+          filters.forEach((filter, index) => {
+            filter.gain.setTargetAtTime(settings.equalizer[index] || 0, context.currentTime, 0.02);
+          });
+        },
+      };
+    },
+  },
+  {
+    name: "volume",
+    enabled: (settings) => true,
+    create: (context) => {
+      const gain = context.createGain();
+      return {
+        input: gain,
+        output: gain,
+        update: (settings) => {
+          gain.gain.setTargetAtTime(settings.volume, context.currentTime, 0.02);
+        },
+      };
+    },
+  },
+  {
+    // Compressor/limiter with make-up gain, placed after the volume to catch boosted peaks too
+    name: "compressor",
+    enabled: (settings) => !!settings.compressor,
+    create: (context) => {
+      const compressor = context.createDynamicsCompressor();
+      const makeup = context.createGain();
+      PAGE.nativeConnect.call(compressor, makeup);
+      return {
+        input: compressor,
+        output: makeup,
+        update: (settings) => {
+          if (!settings.compressor) return;
+          ["threshold", "knee", "ratio", "attack", "release"].forEach((key) => {
+            compressor[key].setTargetAtTime(settings.compressor[key], context.currentTime, 0.02);
+          });
+          makeup.gain.setTargetAtTime(Math.pow(10, settings.compressor.makeupGain / 20), context.currentTime, 0.02);
+        },
+      };
+    },
+  },
+  {
+    // Duplicate output to other devices through hidden audio elements
+    name: "mirror",
+    enabled: (settings) => settings.mirrorSinkIds.length > 0,
+    create: (context) => {
+      const tee = context.createGain();
+      // Each mirror has own delay, so own stream: tee -> delay -> stream -> player
+      const players = new Map();
+      const stop = (player) => {
+        player.pause();
+        player.srcObject = null;
+        player._audioSelectorDelay.disconnect();
+      };
+      return {
+        input: tee,
+        output: tee,
+        update: (settings) => {
+          players.forEach((player, sinkId) => {
+            if (settings.mirrorSinkIds.includes(sinkId)) return;
+            stop(player);
+            players.delete(sinkId);
+          });
+          settings.mirrorSinkIds.forEach((sinkId) => {
+            const delay = (settings.mirrorDelays[sinkId] || 0) / 1000;
+            if (players.has(sinkId)) {
+              players.get(sinkId)._audioSelectorDelay.delayTime.setTargetAtTime(delay, context.currentTime, 0.02);
+              return;
+            }
+            const delayNode = context.createDelay(PAGE_MAX_DELAY / 1000);
+            delayNode.delayTime.value = delay;
+            const stream = context.createMediaStreamDestination();
+            PAGE.nativeConnect.call(tee, delayNode);
+            PAGE.nativeConnect.call(delayNode, stream);
+            const player = new Audio();
+            player._audioSelectorInternal = true;
+            player._audioSelectorDelay = delayNode;
+            player.srcObject = stream.stream;
+            players.set(sinkId, player);
+            player.setSinkId(sinkId).then(() => {
+              return PAGE.nativePlay.call(player);
+            }).catch((err) => {
+              console.warn("[AudioSelector] Failed to mirror audio:", err);
+            });
+          });
+        },
+        getSinkIds: () => {
+          return Array.from(players.values()).filter((player) => !player.paused).map((player) => player.sinkId);
+        },
+        dispose: () => {
+          players.forEach(stop);
+          players.clear();
+        },
+      };
+    },
+  },
+  {
+    // Delay of the main output, after the mirror so mirrors use own delays
+    name: "delay",
+    enabled: (settings) => settings.delay > 0,
+    create: (context) => {
+      const delay = context.createDelay(PAGE_MAX_DELAY / 1000);
+      return {
+        input: delay,
+        output: delay,
+        update: (settings) => {
+          delay.delayTime.setTargetAtTime(settings.delay / 1000, context.currentTime, 0.02);
+        },
+      };
+    },
+  },
+];
+
+/**
+ * Check if the settings don't change the sound at all, so no processing chain is needed.
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function PAGE_IsNeutralSettings(settings) {
+  return settings.volume === 1 && settings.mirrorSinkIds.length === 0
+    && settings.balance === 0 && !settings.swapChannels && !settings.mono
+    && !settings.equalizer.some((gain) => gain !== 0) && !settings.compressor && settings.delay === 0;
+}
+
+/**
+ * Check if media elements must be captured into processing chains for the settings.
+ * Lower volume alone is applied by the element volume, the boost and other processing need Web Audio.
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function PAGE_NeedsCapture(settings) {
+  return settings.volume > 1 || !PAGE_IsNeutralSettings(Object.assign({}, settings, { volume: 1 }));
+}
+
+/**
+ * Validate compressor parameters and clamp them to the allowed ranges.
+ * @param {Object|null} compressor {threshold, knee, ratio, attack, release, makeupGain}
+ * @returns {Object|null} Normalized parameters or null if the compressor is off.
+ */
+function PAGE_NormalizeCompressor(compressor) {
+  if (!compressor || typeof compressor !== "object") return null;
+  const result = {};
+  for (const key in PAGE_COMPRESSOR_LIMITS) {
+    const [min, max] = PAGE_COMPRESSOR_LIMITS[key];
+    const value = Number(compressor[key]);
+    result[key] = Math.max(min, Math.min(max, isNaN(value) ? min : value));
+  }
+  return result;
+}
+
+/**
+ * Audio processing chain: input -> stages -> destination.
+ */
+class PageAudioChain {
+  constructor(context, destination) {
+    this.context = context;
+    this.destination = destination || context.destination;
+    this.input = context.createGain();
+    this.output = this.input;
+    this.stages = [];
+    this.stageNames = "";
+    this.update();
+  }
+
+  _connect(from, to) {
+    PAGE.nativeConnect.call(from, to);
+  }
+
+  _build(names) {
+    this.dispose();
+    this.stages = PAGE_STAGES.filter((stage) => names.includes(stage.name)).map((stage) => stage.create(this.context));
+    this.stageNames = names.join(",");
+
+    let last = this.input;
+    this.stages.forEach((stage) => {
+      this._connect(last, stage.input);
+      last = stage.output;
+    });
+    this.output = last;
+    this._connect(last, this.destination);
+  }
+
+  /**
+   * Connect the chain to another destination node.
+   * @param {AudioNode} destination
+   */
+  setDestination(destination) {
+    if (destination === this.destination) return;
+    PAGE.nativeDisconnect.call(this.output, this.destination);
+    this.destination = destination;
+    this._connect(this.output, destination);
+  }
+
+  /**
+   * Apply current processing settings, rebuild the chain only if set of stages is changed.
+   */
+  update() {
+    const names = PAGE_STAGES.filter((stage) => stage.enabled(PAGE.settings)).map((stage) => stage.name);
+    if (names.join(",") !== this.stageNames) this._build(names);
+    this.stages.forEach((stage) => stage.update(PAGE.settings));
+  }
+
+  /**
+   * Disconnect all stages and release their resources (mirror players).
+   */
+  dispose() {
+    this.input.disconnect();
+    this.stages.forEach((stage) => {
+      stage.output.disconnect();
+      if (typeof stage.dispose === "function") stage.dispose();
+    });
+    this.stages = [];
+    this.stageNames = "";
+  }
+
+  /**
+   * Get additional devices used by the chain stages (mirrors).
+   * @returns {string[]}
+   */
+  getSinkIds() {
+    const sinkIds = [];
+    this.stages.forEach((stage) => {
+      if (typeof stage.getSinkIds === "function") sinkIds.push(...stage.getSinkIds());
+    });
+    return sinkIds;
+  }
+}
+
+/**
+ * Get (or create) the processing chain for a page context.
+ * While settings are neutral no chain is created, the page connects to the destination directly.
+ * @param {BaseAudioContext} context
+ * @returns {PageAudioChain|null} The chain or null if the context isn't tracked or processing is bypassed.
+ */
+function PAGE_GetContextChain(context) {
+  if (!PAGE.contexts.has(context)) return null;
+  if (!PAGE.chains.has(context)) {
+    if (PAGE_IsNeutralSettings(PAGE.settings)) return null;
+    const chain = new PageAudioChain(context);
+    PAGE.chains.set(context, chain);
+    PAGE_MoveDirectConnections(context, chain);
+  }
+  return PAGE.chains.get(context);
+}
+
+/**
+ * Remember the node connected to the destination while processing is bypassed,
+ * so it can be moved into the processing chain later.
+ * @param {AudioNode} node
+ * @param {AudioDestinationNode} destination
+ * @param {Array} args Other arguments of connect() (output and input indexes).
+ */
+function PAGE_RememberDirectConnection(node, destination, args) {
+  const context = destination.context;
+  if (!PAGE.contexts.has(context)) return;
+  // Nodes dropped by the page are forgotten on the way
+  const connections = (PAGE.directConnections.get(context) || []).filter((connection) => connection.node.deref());
+  connections.push({ node: new WeakRef(node), args });
+  PAGE.directConnections.set(context, connections);
+}
+
+/**
+ * Forget direct connections of the node (it was disconnected by the page).
+ * @param {AudioNode} node
+ */
+function PAGE_ForgetDirectConnections(node) {
+  const connections = PAGE.directConnections.get(node.context);
+  if (!connections) return;
+  PAGE.directConnections.set(node.context, connections.filter((connection) => connection.node.deref() !== node));
+}
+
+/**
+ * Move nodes connected to the destination directly into the processing chain of the context.
+ * @param {BaseAudioContext} context
+ * @param {PageAudioChain} chain
+ * @nothrows
+ */
+function PAGE_MoveDirectConnections(context, chain) {
+  const connections = PAGE.directConnections.get(context) || [];
+  PAGE.directConnections.delete(context);
+  connections.forEach((connection) => {
+    const node = connection.node.deref();
+    if (!node) return;
+    try {
+      PAGE.nativeDisconnect.call(node, context.destination, ...connection.args);
+    } catch (err) {
+      // Not connected anymore
+      return;
+    }
+    PAGE.nativeConnect.call(node, chain.input, ...connection.args);
+  });
+}
+
+function PAGE_HookAudioNodes() {
+  if (!PAGE.nativeConnect) return;
+
+  // Everything page connects to the destination goes through the processing chain instead
+  AudioNode.prototype.connect = function (destination, ...args) {
+    if (destination instanceof AudioDestinationNode) {
+      PAGE_TrackAudioContext(destination.context);
+      const chain = PAGE_GetContextChain(destination.context);
+      if (chain) {
+        PAGE.nativeConnect.call(this, chain.input, ...args);
+        return destination;
+      }
+      PAGE_RememberDirectConnection(this, destination, args);
+    }
+    return PAGE.nativeConnect.call(this, destination, ...args);
+  };
+  AudioNode.prototype.disconnect = function (destination, ...args) {
+    if (destination instanceof AudioDestinationNode && PAGE.chains.has(destination.context)) {
+      try {
+        return PAGE.nativeDisconnect.call(this, PAGE.chains.get(destination.context).input, ...args);
+      } catch (err) {
+        // The node was connected to the destination itself (before the hook existed), the native call handles it
+      }
+    }
+    if (destination === undefined || destination instanceof AudioDestinationNode) PAGE_ForgetDirectConnections(this);
+    return PAGE.nativeDisconnect.call(this, ...(destination === undefined ? [] : [destination, ...args]));
+  };
+}
+
+/**
+ * Check if the media element can be captured into the processing chain.
+ * Cross-origin media without CORS would be played as silence by Web Audio.
+ * @param {HTMLMediaElement} element
+ * @returns {boolean}
+ */
+function PAGE_CanCaptureElement(element) {
+  if (element.srcObject || element.crossOrigin) return true;
+  const src = element.currentSrc || element.src;
+  if (!src || src.startsWith("blob:") || src.startsWith("data:")) return true;
+  try {
+    return new URL(src, document.baseURI).origin === window.location.origin;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Keep the volume set by the page for elements which aren't captured, so it can be scaled by the tab volume.
+ * The page still reads and writes its own value, the element plays it scaled.
+ */
+function PAGE_HookMediaVolume() {
+  const native = PAGE.nativeVolume;
+  if (!native?.get || !native?.set) return;
+  Object.defineProperty(HTMLMediaElement.prototype, "volume", {
+    configurable: true,
+    enumerable: native.enumerable,
+    get: function () {
+      return typeof this._audioSelectorPageVolume === "number" ? this._audioSelectorPageVolume : native.get.call(this);
+    },
+    set: function (value) {
+      const volume = Number(value);
+      // Invalid values throw as before
+      if (typeof this._audioSelectorPageVolume !== "number" || !(volume >= 0 && volume <= 1)) {
+        return native.set.call(this, value);
+      }
+      this._audioSelectorPageVolume = volume;
+      native.set.call(this, volume * PAGE_GetVolumeScale(this));
+    },
+  });
+}
+
+/**
+ * Get the factor for the volume set by the page: audio processed by Web Audio (captured elements
+ * and elements connected to page contexts) gets the tab volume from the chain, other elements can be only attenuated.
+ * @param {HTMLMediaElement} element
+ * @returns {number}
+ */
+function PAGE_GetVolumeScale(element) {
+  if (PAGE.chains.has(element) || PAGE.pageElements.has(element)) return 1;
+  return Math.min(1, PAGE.settings.volume);
+}
+
+/**
+ * Scale the volume set by the page for the element which isn't captured (only attenuation is possible).
+ * At 100% or once the element is captured, it plays exactly with the volume set by the page.
+ * @param {HTMLMediaElement} element
+ * @nothrows
+ */
+function PAGE_ScaleElementVolume(element) {
+  const native = PAGE.nativeVolume;
+  if (!native?.get || !native?.set) return;
+  const scale = PAGE_GetVolumeScale(element);
+  if (typeof element._audioSelectorPageVolume !== "number") {
+    // Never scaled, nothing to restore
+    if (scale === 1) return;
+    element._audioSelectorPageVolume = native.get.call(element);
+  }
+  native.set.call(element, element._audioSelectorPageVolume * scale);
+}
+
+/**
+ * Get the shared context of captured media elements, all elements of the page are captured into it.
+ * It plays on the device selected for the page (see PAGE_SetElementContextSink).
+ * @returns {AudioContext}
+ */
+function PAGE_GetElementContext() {
+  if (!PAGE.elementContext) {
+    PAGE.elementContext = new PAGE.NativeAudioContext();
+    PAGE.elementContext._audioSelectorInternal = true;
+    if (typeof PAGE.sinkId === "string") PAGE_SetElementContextSink(PAGE.sinkId);
+  }
+  return PAGE.elementContext;
+}
+
+/**
+ * Get the node of the shared context which plays on the device: the destination of the context
+ * or a stream played by a hidden audio element on that device (elements can have own devices).
+ * @param {string} sinkId
+ * @returns {AudioNode}
+ */
+function PAGE_GetElementOutput(sinkId) {
+  const context = PAGE_GetElementContext();
+  if ((PAGE_GetContextSinkId(context) || "") === sinkId) return context.destination;
+  if (!PAGE.elementOutputs.has(sinkId)) {
+    const stream = context.createMediaStreamDestination();
+    const player = new Audio();
+    player._audioSelectorInternal = true;
+    player.srcObject = stream.stream;
+    PAGE.elementOutputs.set(sinkId, { stream, player });
+    player.setSinkId(sinkId).then(() => {
+      return PAGE.nativePlay.call(player);
+    }).catch((err) => {
+      console.warn("[AudioSelector] Failed to play captured media on its device:", err);
+    });
+  }
+  return PAGE.elementOutputs.get(sinkId).stream;
+}
+
+/**
+ * Stop outputs of the shared context no processing chain is connected to.
+ */
+function PAGE_ReleaseElementOutputs() {
+  const used = new Set(Array.from(PAGE.chains.values()).map((chain) => chain.destination));
+  PAGE.elementOutputs.forEach((output, sinkId) => {
+    if (used.has(output.stream)) return;
+    output.player.pause();
+    output.player.srcObject = null;
+    PAGE.elementOutputs.delete(sinkId);
+  });
+}
+
+/**
+ * Apply the selected sinkId of the element to its processing chain.
+ * @param {HTMLMediaElement} element
+ * @nothrows
+ */
+function PAGE_SyncElementChainSink(element) {
+  const chain = PAGE.chains.get(element);
+  if (!chain) return;
+  try {
+    chain.setDestination(PAGE_GetElementOutput(element.getAttribute("data-audio-selector-sink-id") || ""));
+  } catch (err) {
+    console.warn("[AudioSelector] Failed to set sinkId for processing chain:", err);
+  }
+  PAGE_ReleaseElementOutputs();
+}
+
+/**
+ * Move the shared context of captured media elements to the device, captured elements follow their own devices.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ * @nothrows
+ */
+async function PAGE_SetElementContextSink(id) {
+  const context = PAGE.elementContext;
+  let bResult = true;
+  if (context && typeof context.setSinkId === "function" && PAGE_GetContextSinkId(context) !== id) {
+    try {
+      await context.setSinkId(id);
+    } catch (err) {
+      console.warn("[AudioSelector] Failed to set sinkId for captured media:", err);
+      bResult = false;
+    }
+  }
+  PAGE.chains.forEach((chain, key) => {
+    if (key instanceof HTMLMediaElement) PAGE_SyncElementChainSink(key);
+  });
+  return bResult;
+}
+
+/**
+ * Hand the captured media element over to the page context: the element can be captured only once,
+ * so the page gets the captured audio as a stream and processes it by itself (the chain of the page context
+ * applies the tab settings then), the processing chain of the element is dropped.
+ * @param {BaseAudioContext} context The page context.
+ * @param {HTMLMediaElement} element
+ * @returns {MediaStreamAudioSourceNode} Source node for the page, with "mediaElement" as MediaElementAudioSourceNode has.
+ */
+function PAGE_HandOverElement(context, element) {
+  const chain = PAGE.chains.get(element);
+  const stream = chain.context.createMediaStreamDestination();
+  PAGE.nativeDisconnect.call(element._audioSelectorSource, chain.input);
+  PAGE.nativeConnect.call(element._audioSelectorSource, stream);
+  chain.dispose();
+  PAGE.chains.delete(element);
+  PAGE.pageElements.add(element);
+  PAGE_ReleaseElementOutputs();
+  const source = context.createMediaStreamSource(stream.stream);
+  Object.defineProperty(source, "mediaElement", { value: element });
+  return source;
+}
+
+/**
+ * Let the page capture media elements into its own contexts: elements already captured for processing are handed over
+ * (see PAGE_HandOverElement) instead of InvalidStateError, elements captured by the page aren't captured for processing.
+ */
+function PAGE_HookMediaElementSource() {
+  const prototype = PAGE.NativeAudioContext?.prototype;
+  const native = prototype?.createMediaElementSource;
+  if (typeof native !== "function") return;
+  prototype.createMediaElementSource = function (element, ...args) {
+    if (this._audioSelectorInternal || !(element instanceof HTMLMediaElement)) return native.call(this, element, ...args);
+    if (PAGE.chains.has(element)) return PAGE_HandOverElement(this, element);
+    const source = native.call(this, element, ...args);
+    PAGE.pageElements.add(element);
+    // Volume is applied by the chain of the page context now
+    PAGE_ScaleElementVolume(element);
+    return source;
+  };
+}
+
+/**
+ * Apply processing settings to the media element: capture it into own processing chain of the shared context
+ * when the settings need it (see PAGE_NeedsCapture), otherwise scale the element volume.
+ * The same fallback is used if the element can't be captured.
+ * @param {HTMLMediaElement} element
+ * @nothrows
+ *
+ * @note Captured element can't be released, it stays in the chain (neutral settings only pass it through)
+ * until the page captures it by itself (see PAGE_HookMediaElementSource).
+ */
+function PAGE_ProcessMediaElement(element) {
+  if (!(element instanceof HTMLMediaElement) || PAGE.pageElements.has(element)) return;
+  const chain = PAGE.chains.get(element);
+  if (chain) {
+    chain.update();
+    return;
+  }
+  if (!PAGE_NeedsCapture(PAGE.settings) || typeof PAGE.NativeAudioContext !== "function") {
+    PAGE_ScaleElementVolume(element);
+    return;
+  }
+
+  if (!PAGE_CanCaptureElement(element)) {
+    if (!element._audioSelectorVolumeFallback) {
+      console.warn("[AudioSelector] Cross-origin media can't be processed, only volume is applied:", element.currentSrc);
+    }
+    element._audioSelectorVolumeFallback = true;
+    PAGE_ScaleElementVolume(element);
+    return;
+  }
+
+  try {
+    const context = PAGE_GetElementContext();
+    const source = context.createMediaElementSource(element);
+    element._audioSelectorSource = source;
+    const elementChain = new PageAudioChain(context, PAGE_GetElementOutput(element.getAttribute("data-audio-selector-sink-id") || ""));
+    PAGE.nativeConnect.call(source, elementChain.input);
+    PAGE.chains.set(element, elementChain);
+    delete element._audioSelectorVolumeFallback;
+    // The chain applies the volume now, the page one is restored
+    PAGE_ScaleElementVolume(element);
+
+    // Processing chain is the output of element now - keep its device in sync with element one
+    new MutationObserver(() => PAGE_SyncElementChainSink(element)).observe(element, {
+      attributes: true,
+      attributeFilter: ["data-audio-selector-sink-id"],
+    });
+    element.addEventListener("play", () => {
+      if (context.state === "suspended") context.resume();
+    });
+    if (!element.paused) context.resume();
+  } catch (err) {
+    console.warn("[AudioSelector] Failed to capture media element:", err);
+    PAGE_ScaleElementVolume(element);
+  }
+}
+
+/**
+ * Get all media elements of the page: document ones and unreachable from the document.
+ * @returns {HTMLMediaElement[]}
+ */
+function PAGE_GetAllMediaElements() {
+  return Array.from(new Set([...document.querySelectorAll("audio, video"), ...PAGE_GetHiddenMediaElements()]));
+}
+
+/**
+ * Count media elements which can't be captured (cross-origin media without CORS), so they aren't processed or mirrored.
+ * @returns {number}
+ */
+function PAGE_GetUncapturedCount() {
+  return PAGE_GetAllMediaElements().filter((element) => element._audioSelectorVolumeFallback).length;
+}
+
+/**
+ * Update audio processing settings of the tab and apply them to all chains and media elements.
+ * @param {Object} settings Settings to change (others are kept).
+ * @returns {boolean}
+ */
+function PAGE_SetSettings(settings) {
+  const next = Object.assign({}, PAGE.settings, settings || {});
+  next.volume = Math.max(0, Math.min(PAGE_MAX_VOLUME, Number(next.volume)));
+  if (isNaN(next.volume)) next.volume = 1;
+  next.mirrorSinkIds = Array.isArray(next.mirrorSinkIds) ? next.mirrorSinkIds.filter((id) => typeof id === "string") : [];
+  next.balance = Math.max(-100, Math.min(100, Number(next.balance) || 0));
+  next.swapChannels = !!next.swapChannels;
+  next.mono = !!next.mono;
+  next.equalizer = Array.isArray(next.equalizer) ? PAGE_EQ_FREQUENCIES.map((frequency, index) => {
+    return Math.max(-PAGE_EQ_MAX_GAIN, Math.min(PAGE_EQ_MAX_GAIN, Number(next.equalizer[index]) || 0));
+  }) : [];
+  next.compressor = PAGE_NormalizeCompressor(next.compressor);
+  next.delay = Math.max(0, Math.min(PAGE_MAX_DELAY, Number(next.delay) || 0));
+  const mirrorDelays = {};
+  next.mirrorSinkIds.forEach((sinkId) => {
+    mirrorDelays[sinkId] = Math.max(0, Math.min(PAGE_MAX_DELAY, Number(next.mirrorDelays?.[sinkId]) || 0));
+  });
+  next.mirrorDelays = mirrorDelays;
+  PAGE.settings = next;
+
+  // Contexts bypassed while settings were neutral get their chains now
+  Array.from(PAGE.directConnections.keys()).forEach((context) => PAGE_GetContextChain(context));
+  PAGE.chains.forEach((chain) => chain.update());
+  PAGE_GetAllMediaElements().forEach(PAGE_ProcessMediaElement);
+  return true;
+}
+
+function PAGE_GetUsedSinkIds() {
+  PAGE_PruneAudioContexts();
+  const usedSinkIds = new Set();
+  PAGE.contexts.forEach((context) => {
+    if (context.state !== "running") return;
+    const sinkId = PAGE_GetContextSinkId(context);
+    if (sinkId) usedSinkIds.add(sinkId);
+  });
+  PAGE_GetHiddenMediaElements().forEach((element) => {
+    if (element.sinkId) usedSinkIds.add(element.sinkId);
+  });
+  PAGE.chains.forEach((chain) => {
+    chain.getSinkIds().forEach((sinkId) => usedSinkIds.add(sinkId));
+  });
+  return Array.from(usedSinkIds);
+}
+
+function PAGE_CheckSinkIdOnAll(id) {
+  const elements = PAGE_GetHiddenMediaElements().filter((element) => !PAGE_IsSinkLocked(element));
+  if (!elements.every((element) => element.sinkId === id)) return false;
+  if (!PAGE_IsContextSinkSupported()) return true;
+  PAGE_PruneAudioContexts();
+  return Array.from(PAGE.contexts).every((context) => PAGE_GetContextSinkId(context) === id);
+}
+
+async function PAGE_SetSinkIdForAll(id) {
+  PAGE.sinkId = id;
+
+  let bResult = true;
+  for (const element of PAGE_GetHiddenMediaElements()) {
+    if (PAGE_IsSinkLocked(element)) continue;
+    try {
+      await PAGE_WatchMediaElement(element, id);
+    } catch (err) {
+      console.warn("[AudioSelector] Failed to set sinkId for media element:", err);
+      bResult = false;
+    }
+  }
+  if (!(await PAGE_SetElementContextSink(id))) bResult = false;
+
+  if (!PAGE_IsContextSinkSupported()) return bResult;
+  for (const context of Array.from(PAGE.contexts)) {
+    try {
+      await PAGE_WatchAudioContext(context, id);
+    } catch (err) {
+      console.warn("[AudioSelector] Failed to set sinkId for AudioContext:", err);
+      bResult = false;
+    }
+  }
+  return bResult;
+}
+
+async function PAGE_ResetSinkId() {
+  PAGE.sinkId = null;
+  if (PAGE.settings.mirrorSinkIds.length > 0) PAGE_SetSettings({ mirrorSinkIds: [] });
+
+  let bResult = true;
+  for (const element of PAGE_GetHiddenMediaElements()) {
+    element.removeAttribute("data-audio-selector-sink-id");
+    element.removeAttribute("data-audio-selector-sink-lock");
+    if (element.sinkId === "") continue;
+    try {
+      await element.setSinkId("");
+    } catch (err) {
+      console.warn("[AudioSelector] Failed to reset sinkId for media element:", err);
+      bResult = false;
+    }
+  }
+  if (!(await PAGE_SetElementContextSink(""))) bResult = false;
+
+  if (!PAGE_IsContextSinkSupported()) return bResult;
+  for (const context of Array.from(PAGE.contexts)) {
+    delete context._audioSelectorSinkId;
+    if (context.state === "closed" || PAGE_GetContextSinkId(context) === "") continue;
+    try {
+      await context.setSinkId("");
+    } catch (err) {
+      console.warn("[AudioSelector] Failed to reset sinkId for AudioContext:", err);
+      bResult = false;
+    }
+  }
+  return bResult;
+}
+
+// Methods available for audio.js
+const PAGE_METHODS = {
+  getUsedSinkIds: PAGE_GetUsedSinkIds,
+  checkSinkIdOnAll: PAGE_CheckSinkIdOnAll,
+  setSinkIdForAll: PAGE_SetSinkIdForAll,
+  resetSinkId: PAGE_ResetSinkId,
+  setSettings: PAGE_SetSettings,
+  getUncapturedCount: PAGE_GetUncapturedCount,
+};
+
+// Requests and responses are passed as JSON strings, so they can safely cross worlds boundary
+document.addEventListener(PAGE_REQUEST_EVENT, async (event) => {
+  let request = null;
+  try {
+    request = JSON.parse(event.detail);
+  } catch (err) {
+    return;
+  }
+  if (!request || !request.id) return;
+
+  const response = { id: request.id, result: null, error: null };
+  const method = PAGE_METHODS[request.method];
+  if (typeof method === "function") {
+    try {
+      response.result = await method(...(request.args || []));
+    } catch (err) {
+      response.error = String(err);
+    }
+  } else {
+    response.error = `Unknown method: ${request.method}`;
+  }
+
+  document.dispatchEvent(new CustomEvent(PAGE_RESPONSE_EVENT, { detail: JSON.stringify(response) }));
+});
+
+PAGE_HookAudioContext();
+PAGE_HookMediaElementSource();
+PAGE_HookAudioNodes();
+PAGE_HookMediaElements();
+PAGE_HookMediaVolume();
+document.documentElement.setAttribute(PAGE_READY_ATTRIBUTE, "true");
+
+}
@@ -1,8 +1,29 @@
+import "./url_patterns.js";
+import "./schedule.js";
+import "./rule_routing.js";
+import "./device_watcher.js";
+
 // For compatibility with Chrome and Firefox
 const IS_FIREFOX = typeof browser !== "undefined" && browser.runtime && browser.runtime.getBrowserInfo;
 const IS_CHROME = typeof chrome !== "undefined";
 const API = typeof browser !== "undefined" ? browser : chrome;
 const DATA_PATTERNS = "patterns";
+const DATA_DEVICE_SETTINGS = "deviceSettings";
+const DATA_FALLBACK_DEVICES = "fallbackDevices";
+const DATA_NEW_DEVICE_ACTIONS = "newDeviceActions";
+const DATA_DEVICE_REGISTRY = "deviceRegistry";
+const DATA_CROSS_ORIGIN_POLICY = "crossOriginPolicy";
+const DATA_DEFAULT_DEVICE = "defaultDevice";
+const DATA_PROFILES = "profiles";
+const DATA_ACTIVE_PROFILE = "activeProfile";
+const DATA_TAB_STATE = "tabState";
+const DATA_RUNTIME_STATE = "runtimeState";
+const VOLUME_STEP = 0.1;
+const VOLUME_MAX = 4;
+const ALARM_SCHEDULE = "schedule-boundary";
+const NAVIGATION_DEBOUNCE_MS = 500;
+// Number of most recent origins whose deviceIds are kept for each registered device
+const DEVICE_REGISTRY_MAX_ORIGINS = 20;
 
 // Helper functions for tab management
 const Helpers = {
@@ -72,267 +93,1773 @@ const Helpers = {
       return null;
     }
 
-    if (results[0].error) {
-      console.error(`Error in script execution: ${results[0].error}`);
-      return null;
+    if (results[0].error) {
+      console.error(`Error in script execution: ${results[0].error}`);
+      return null;
+    }
+
+    return results[0].result;
+  },
+
+  /**
+   * Execute a function in the context of each frame of a tab.
+   * @param {tabs.Tab|number|any} tab The tab identifier (ID, object, or other).
+   * @param {Function} func The function to execute.
+   * @param {Array} args The arguments to pass to the function.
+   * @param {number[]|null} frameIds The frames to execute in, or null for all frames (Default: null).
+   * @returns {Promise<{frameId: number, result: any, error: string|null}[]>} The result of the function for each frame (empty if failed).
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   *
+   * @note Frames without host permission are skipped by the browser.
+   */
+  executeInFrames: async function (tab, func, args = [], frameIds = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) {
+      console.error("No valid tab found to execute script.");
+      return [];
+    }
+
+    const target = { tabId: resolvedTab.id };
+    if (Array.isArray(frameIds)) {
+      target.frameIds = frameIds;
+    } else {
+      target.allFrames = true;
+    }
+
+    const results = await API.scripting.executeScript({
+      target: target,
+      func: func,
+      args: args,
+    }).catch((error) => {
+      console.error(`Error executing script in frames of tab ${resolvedTab.id}: ${error}`);
+      return null;
+    });
+
+    if (!results || results.length === 0) {
+      console.warn(`No results from script execution in frames of tab ${resolvedTab.id}`);
+      return [];
+    }
+
+    return results.map((frameResult) => {
+      return {
+        frameId: frameResult.frameId,
+        result: frameResult.error ? null : frameResult.result,
+        error: frameResult.error ? String(frameResult.error) : null,
+      };
+    });
+  },
+
+  /**
+   * Inject a script into a tab.
+   * @param {tabs.Tab|number|any} tab The tab identifier (ID, object, or other).
+   * @param {string} script The script to inject.
+   * @param {"ISOLATED"|"MAIN"} world The JavaScript world to inject into (Default: "ISOLATED").
+   * @param {boolean} allFrames Whether to inject into all frames of the tab or only into the top one (Default: false).
+   * @returns {Promise<boolean>} True if the script was injected successfully, false otherwise.
+   * @nothrows If the tab is not found or the script fails to inject, this function will not throw an error.
+   */
+  injectScript: async function (tab, script, world = "ISOLATED", allFrames = false) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) {
+      console.error("No valid tab found to inject script.");
+      return false;
+    }
+
+    try {
+      await API.scripting.executeScript({
+        target: { tabId: resolvedTab.id, allFrames: allFrames },
+        files: [script],
+        world: world,
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error injecting script ${script} in tab ${resolvedTab.id}: ${error}`);
+      return false;
+    }
+  },
+
+  /**
+   * Focus a tab and optionally unmute it.
+   * @param {tabs.Tab|number|any} tab The tab identifier (ID, object, or other).
+   * @param {boolean} unmute Whether to unmute the tab (Default: false).
+   * @returns {Promise<boolean>} True if the tab was focused successfully, false otherwise.
+   * @nothrows If the tab is not found or the focus action fails, this function will not throw an error.
+   */
+  focusTab: async function (tab, unmute = false) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) {
+      console.error("No valid tab found to focus.");
+      return false;
+    }
+
+    // Make tab and window active
+    console.log(`Making tab ${resolvedTab.title} active`);
+    try {
+      // We need to be sure that window with this tab is active
+      await API.windows.update(resolvedTab.windowId, { focused: true });
+      // Switch to the tab
+      await API.tabs.update(resolvedTab.id, unmute ? { muted: false, active: true } : { active: true });
+      return true;
+    } catch (error) {
+      console.error(`Error switching to tab ${resolvedTab.id}: ${error}`);
+      return false;
+    }
+  },
+
+  /**
+   * Open a new tab with the specified URL.
+   * @param {string} url The URL to open in the new tab.
+   * @returns {Promise<tabs.Tab|null>} The created tab object or null if failed.
+   * @nothrows If the URL is invalid or the tab cannot be created, this function will not throw an error.
+   *
+   * @note To detect when the tab has finished loading, listen to the tabs.onUpdated or the
+   * webNavigation.onCompleted event before calling tabs.create.
+   */
+  openTab: function (url) {
+    return API.tabs.create({ url, active: true }).catch((error) => {
+      console.error(`Error creating tab with URL ${url}: ${error}`);
+      return null;
+    });
+  },
+
+  /**
+   * Ask the user with a system notification, e.g. when no tab can show the question.
+   * @param {string} title The title of the notification.
+   * @param {string} message The text of the notification.
+   * @param {string[]} buttons Titles of answers (up to 2), a click on the notification itself chooses the first one.
+   * @param {number} timeout Milliseconds to wait for the answer (Default: 30000).
+   * @returns {Promise<number|null>} Index of the chosen answer or null if dismissed, timed out or notifications aren't available.
+   * @nothrows
+   *
+   * @note Firefox doesn't support buttons in notifications, only the first answer can be chosen there.
+   */
+  askByNotification: function (title, message, buttons = [], timeout = 30000) {
+    if (!API.notifications) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      let notificationId = null;
+      let timer = null;
+      const onClicked = (id) => {
+        if (id === notificationId) finish(0);
+      };
+      const onButtonClicked = (id, index) => {
+        if (id === notificationId) finish(index);
+      };
+      const onClosed = (id) => {
+        if (id === notificationId) finish(null);
+      };
+      const finish = (answer) => {
+        clearTimeout(timer);
+        API.notifications.onClicked.removeListener(onClicked);
+        API.notifications.onButtonClicked?.removeListener(onButtonClicked);
+        API.notifications.onClosed.removeListener(onClosed);
+        if (notificationId) API.notifications.clear(notificationId).catch(() => {});
+        resolve(answer);
+      };
+      API.notifications.onClicked.addListener(onClicked);
+      API.notifications.onButtonClicked?.addListener(onButtonClicked);
+      API.notifications.onClosed.addListener(onClosed);
+
+      const options = { type: "basic", iconUrl: API.runtime.getURL("icons/icon-128.png"), title, message };
+      if (!IS_FIREFOX && buttons.length > 0) options.buttons = buttons.slice(0, 2).map((button) => ({ title: button }));
+      API.notifications.create(options).then((id) => {
+        notificationId = id;
+        timer = setTimeout(() => finish(null), timeout);
+      }).catch((error) => {
+        console.error(`Error showing notification: ${error}`);
+        finish(null);
+      });
+    });
+  },
+
+  /**
+   * Get a value from storage.
+   * @param {string} key The key to retrieve.
+   * @param {any} defaultValue The default value to return if the key is not found (Default: null).
+   * @returns {Promise<any>} The stored value or the default value.
+   * @nothrows If the key is not found or an error occurs, this function will not throw an error.
+   */
+  getStorageValue: async function (key, defaultValue = null) {
+    try {
+      return await API.storage.local.get(key).then((data) => {
+        if (data && data[key] !== undefined) {
+          return data[key];
+        }
+        return defaultValue;
+      });
+    } catch(error) {
+      console.error(`Error getting storage value for key ${key}: ${error}`);
+    };
+
+    return defaultValue;
+  },
+
+  /**
+   * Set a value in storage.
+   * @param {string} key The key to set.
+   * @param {any} value The value to set.
+   * @returns {Promise<any>} The set value or null if failed.
+   * @nothrows If the key is invalid or the value cannot be set, this function will not throw an error.
+   */
+  setStorageValue: async function (key, value) {
+    try {
+      await API.storage.local.set({ [key]: value });
+      return value;
+    } catch (error) {
+      console.error(`Error setting storage value for key ${key}: ${error}`);
+    }
+
+    return null;
+  },
+};
+
+// Runtime state of tabs (manual choices, volume, processing) and of the background.
+// It is kept in session storage, so it survives suspending of the service worker.
+const TabState = {
+  /**
+   * @typedef {Object} TabRecord
+   * @property {boolean} manualDevice The device was selected by the user, rules don't override it.
+   * @property {boolean} manualProcessing Processing was set by the user, rules don't override it.
+   * @property {{label: string, deviceId: string, deviceRef: string|null}|null} device The device used by the tab (main one in mirror mode).
+   * @property {{label: string, deviceId: string, deviceRef: string|null}[]} mirrors Other devices playing the tab in mirror mode.
+   * @property {string|null} pinnedOrigin Origin where the user selected the device, it is re-applied after reloads.
+   * @property {{index: number, urlPattern: string, exclude: boolean}|null} rule The rule which won for the tab last time.
+   * @property {number} volume Volume level from 0 to VOLUME_MAX.
+   * @property {Object|null} processing Processing settings (see SelectAudio.setProcessing).
+   */
+
+  /**
+   * Get the state of a tab without any changes.
+   * @returns {TabRecord}
+   */
+  defaults: function () {
+    return { manualDevice: false, manualProcessing: false, device: null, mirrors: [], pinnedOrigin: null, rule: null, volume: 1, processing: null };
+  },
+
+  _tabs: null,
+  _global: null,
+  _loading: null,
+
+  /**
+   * Load the state from session storage (once).
+   * @returns {Promise<void>}
+   * @nothrows
+   *
+   * @note Without session storage (old browsers) the state lives only in memory.
+   */
+  load: async function () {
+    if (!TabState._loading) {
+      TabState._loading = (async () => {
+        let data = {};
+        if (API.storage.session) {
+          data = await API.storage.session.get([DATA_TAB_STATE, DATA_RUNTIME_STATE]).catch((error) => {
+            console.error(`Error loading tab state: ${error}`);
+            return {};
+          });
+        }
+        TabState._tabs = data[DATA_TAB_STATE] || {};
+        TabState._global = data[DATA_RUNTIME_STATE] || {};
+      })();
+    }
+    await TabState._loading;
+  },
+
+  _save: async function () {
+    if (!API.storage.session) return;
+    await API.storage.session.set({ [DATA_TAB_STATE]: TabState._tabs, [DATA_RUNTIME_STATE]: TabState._global }).catch((error) => {
+      console.error(`Error saving tab state: ${error}`);
+    });
+  },
+
+  /**
+   * Get the state of the tab.
+   * @param {number} tabId
+   * @returns {Promise<TabRecord>}
+   * @nothrows
+   */
+  get: async function (tabId) {
+    await TabState.load();
+    return Object.assign(TabState.defaults(), TabState._tabs[tabId]);
+  },
+
+  /**
+   * Change the state of the tab.
+   * @param {number} tabId
+   * @param {Partial<TabRecord>} changes Properties to change, others are kept.
+   * @returns {Promise<TabRecord>} The new state.
+   * @nothrows
+   */
+  update: async function (tabId, changes) {
+    await TabState.load();
+    TabState._tabs[tabId] = Object.assign(TabState.defaults(), TabState._tabs[tabId], changes);
+    await TabState._save();
+    return Object.assign({}, TabState._tabs[tabId]);
+  },
+
+  /**
+   * Forget the state of the tab.
+   * @param {number} tabId
+   * @returns {Promise<void>}
+   * @nothrows
+   */
+  remove: async function (tabId) {
+    await TabState.load();
+    if (!TabState._tabs.hasOwnProperty(tabId)) return;
+    delete TabState._tabs[tabId];
+    await TabState._save();
+  },
+
+  /**
+   * Set a value of the background state and get the previous one.
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<any|null>} The previous value or null.
+   * @nothrows
+   *
+   * @note Read and write happen at once, so concurrent callers always see each other's values.
+   */
+  exchangeGlobal: async function (key, value) {
+    await TabState.load();
+    const previous = TabState._global[key] ?? null;
+    TabState._global[key] = value;
+    await TabState._save();
+    return previous;
+  },
+
+  /**
+   * Drop the state of tabs closed while the background was suspended.
+   * @returns {Promise<void>}
+   * @nothrows
+   */
+  reconcile: async function () {
+    await TabState.load();
+    const tabs = await API.tabs.query({}).catch((error) => {
+      console.error(`Error querying tabs: ${error}`);
+      return null;
+    });
+    if (!tabs) return;
+    const openIds = new Set(tabs.map((tab) => String(tab.id)));
+    const closedIds = Object.keys(TabState._tabs).filter((tabId) => !openIds.has(tabId));
+    if (closedIds.length === 0) return;
+    closedIds.forEach((tabId) => delete TabState._tabs[tabId]);
+    await TabState._save();
+    console.info(`Tab state of ${closedIds.length} closed tabs removed`);
+  },
+};
+
+// Registry of physical devices: deviceIds are origin-scoped and may change,
+// so each device (kind + label, groupId for identical devices) gets a stable internal ID
+// with known origin-specific deviceIds and groupIds.
+const DeviceRegistry = {
+  _devices: null,
+
+  /**
+   * Load the registry from storage (once).
+   * @returns {Promise<Object<string, {id: string, kind: string, label: string, deviceIds: Object<string, string>, groupIds: Object<string, string>}>>}
+   * @nothrows
+   */
+  load: async function () {
+    if (!DeviceRegistry._devices) {
+      const devices = await Helpers.getStorageValue(DATA_DEVICE_REGISTRY, {});
+      // Could be loaded by a concurrent call while waiting
+      if (!DeviceRegistry._devices) DeviceRegistry._devices = devices && typeof devices === "object" ? devices : {};
+    }
+    return DeviceRegistry._devices;
+  },
+
+  /**
+   * Get the origin of the URL used to scope deviceIds.
+   * @param {string} url
+   * @returns {string|null}
+   */
+  originOf: function (url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Remember the origin-specific id as the most recent one, older origins over the limit are forgotten.
+   * Registry doesn't grow with every visited site and doesn't keep the browsing history.
+   * @param {Object<string, string>} ids Ids by origin, in order from the least to the most recently seen.
+   * @param {string} origin
+   * @param {string} id
+   * @returns {boolean} True if ids were changed.
+   */
+  _remember: function (ids, origin, id) {
+    const origins = Object.keys(ids);
+    if (ids[origin] === id && origins[origins.length - 1] === origin) return false;
+    delete ids[origin];
+    ids[origin] = id;
+    Object.keys(ids).slice(0, -DEVICE_REGISTRY_MAX_ORIGINS).forEach((old) => delete ids[old]);
+    return true;
+  },
+
+  /**
+   * Register devices seen by the origin and get their stable IDs.
+   * @param {string} origin The origin where devices were enumerated.
+   * @param {{kind: string, label: string, deviceId: string, groupId?: string}[]} devices
+   * @returns {Promise<Array<{kind: string, label: string, deviceId: string, groupId?: string, stableId: string|null}>>} Devices with stable IDs (null if device has no label).
+   * @nothrows
+   *
+   * @note Devices with the same kind and label (e.g. two identical headsets) are told apart by groupId.
+   * Storage is written only if something new was learned.
+   * Only DEVICE_REGISTRY_MAX_ORIGINS most recent origins are kept for each device.
+   */
+  register: async function (origin, devices) {
+    const registry = await DeviceRegistry.load();
+    const used = new Set();
+    let changed = false;
+    const result = (Array.isArray(devices) ? devices : []).map((device) => {
+      if (!device?.label || !device.kind) return Object.assign({}, device, { stableId: null });
+      const candidates = Object.values(registry).filter((record) => {
+        return record.kind === device.kind && record.label === device.label && !used.has(record.id);
+      });
+      let record = candidates.find((candidate) => device.groupId && candidate.groupIds[origin] === device.groupId) || candidates[0];
+      if (!record) {
+        record = { id: crypto.randomUUID(), kind: device.kind, label: device.label, deviceIds: {}, groupIds: {} };
+        registry[record.id] = record;
+        changed = true;
+      }
+      used.add(record.id);
+      if (origin && device.deviceId && DeviceRegistry._remember(record.deviceIds, origin, device.deviceId)) changed = true;
+      if (origin && device.groupId && DeviceRegistry._remember(record.groupIds, origin, device.groupId)) changed = true;
+      return Object.assign({}, device, { stableId: record.id });
+    });
+    if (changed) await Helpers.setStorageValue(DATA_DEVICE_REGISTRY, registry);
+    return result;
+  },
+
+  /**
+   * Find the device by its stable ID.
+   * @param {string} stableId
+   * @returns {Promise<Object|null>} The device record or null if not found.
+   * @nothrows
+   */
+  get: async function (stableId) {
+    const registry = await DeviceRegistry.load();
+    return registry[stableId] || null;
+  },
+
+  /**
+   * Find the device by kind and label.
+   * @param {string} kind
+   * @param {string} label
+   * @returns {Promise<Object|null>} The device record or null if not found.
+   * @nothrows
+   */
+  findByLabel: async function (kind, label) {
+    const registry = await DeviceRegistry.load();
+    return Object.values(registry).find((record) => record.kind === kind && record.label === label) || null;
+  },
+
+  /**
+   * Find the device by the deviceId seen by the origin.
+   * @param {string} kind
+   * @param {string|null} origin The origin where the deviceId was seen, null - any origin.
+   * @param {string} deviceId
+   * @returns {Promise<Object|null>} The device record or null if not found.
+   * @nothrows
+   */
+  findById: async function (kind, origin, deviceId) {
+    if (!deviceId) return null;
+    const registry = await DeviceRegistry.load();
+    return Object.values(registry).find((record) => {
+      return record.kind === kind && (origin ? record.deviceIds[origin] === deviceId : Object.values(record.deviceIds).includes(deviceId));
+    }) || null;
+  },
+
+  /**
+   * Resolve the device for the origin.
+   * @param {string} stableId
+   * @param {string} origin
+   * @returns {Promise<{label: string, deviceId: string|null}|null>} Label and origin-specific deviceId (null if the origin didn't see the device yet).
+   * @nothrows
+   */
+  resolve: async function (stableId, origin) {
+    const record = await DeviceRegistry.get(stableId);
+    if (!record) return null;
+    return { label: record.label, deviceId: record.deviceIds[origin] || null };
+  },
+};
+
+// Named profiles (e.g. "Office", "Home", "Presenting") with their own rules, meeting support and default device.
+// Settings of the active profile are kept in their usual storage keys, so the rest of the code knows nothing about profiles.
+// Other profiles keep snapshots of these keys.
+const Profiles = {
+  DEFAULT_NAME: "Default",
+  _queue: Promise.resolve(),
+
+  /**
+   * Get storage keys which belong to a profile.
+   * @returns {string[]}
+   */
+  keys: function () {
+    return [DATA_PATTERNS, DATA_DEFAULT_DEVICE].concat(MeetManagers.map((manager) => manager.key()));
+  },
+
+  /**
+   * Get names of profiles in order and the active one.
+   * @returns {Promise<{active: string, names: string[]}>}
+   * @nothrows
+   */
+  list: async function () {
+    const profiles = await Helpers.getStorageValue(DATA_PROFILES, {}) || {};
+    const active = await Helpers.getStorageValue(DATA_ACTIVE_PROFILE, Profiles.DEFAULT_NAME) || Profiles.DEFAULT_NAME;
+    const names = Object.keys(profiles);
+    if (!names.includes(active)) names.unshift(active);
+    return { active, names };
+  },
+
+  // Changes of profiles are done one by one, e.g. when the cycle shortcut is pressed quickly
+  _exclusive: function (func) {
+    const run = Profiles._queue.then(func, func);
+    Profiles._queue = run.catch(() => {});
+    return run;
+  },
+
+  // Settings of the active profile
+  _snapshot: async function () {
+    return await API.storage.local.get(Profiles.keys());
+  },
+
+  /**
+   * Create a profile as a copy of the active one.
+   * @param {string} name The name of the new profile.
+   * @returns {Promise<boolean>} True if created, false if the name is empty or taken.
+   * @nothrows
+   */
+  create: async function (name) {
+    name = (name || "").trim();
+    if (!name) return false;
+    return Profiles._exclusive(async () => {
+      try {
+        const { active, names } = await Profiles.list();
+        if (names.includes(name)) return false;
+        const profiles = await Helpers.getStorageValue(DATA_PROFILES, {}) || {};
+        const snapshot = await Profiles._snapshot();
+        // Keep the active profile in the list too
+        if (!profiles[active]) profiles[active] = snapshot;
+        profiles[name] = snapshot;
+        await API.storage.local.set({ [DATA_PROFILES]: profiles });
+        console.info(`Profile "${name}" created from "${active}"`);
+        return true;
+      } catch (error) {
+        console.error(`Error creating profile "${name}": ${error}`);
+        return false;
+      }
+    });
+  },
+
+  /**
+   * Delete a profile, if it's active the next profile becomes active before. The last profile can't be deleted.
+   * @param {string} name The name of the profile.
+   * @returns {Promise<boolean>} True if deleted.
+   * @nothrows
+   */
+  remove: async function (name) {
+    const { active, names } = await Profiles.list();
+    if (!names.includes(name) || names.length < 2) return false;
+    if (name === active && !await Profiles.switchTo(names[(names.indexOf(name) + 1) % names.length])) return false;
+    return Profiles._exclusive(async () => {
+      try {
+        const { active } = await Profiles.list();
+        const profiles = await Helpers.getStorageValue(DATA_PROFILES, {}) || {};
+        if (name === active || !profiles[name]) return false;
+        delete profiles[name];
+        await API.storage.local.set({ [DATA_PROFILES]: profiles });
+        console.info(`Profile "${name}" deleted`);
+        return true;
+      } catch (error) {
+        console.error(`Error deleting profile "${name}": ${error}`);
+        return false;
+      }
+    });
+  },
+
+  /**
+   * Make the profile active and re-apply its rules to all open tabs.
+   * @param {string} name The name of the profile.
+   * @returns {Promise<boolean>} True if the profile is active now.
+   * @nothrows
+   */
+  switchTo: async function (name) {
+    const switched = await Profiles._exclusive(async () => {
+      try {
+        const { active, names } = await Profiles.list();
+        if (!names.includes(name)) return false;
+        if (name === active) return null;
+        const profiles = await Helpers.getStorageValue(DATA_PROFILES, {}) || {};
+        profiles[active] = await Profiles._snapshot();
+        const next = profiles[name] || {};
+        const missing = Profiles.keys().filter((key) => next[key] === undefined);
+        await API.storage.local.set(Object.assign({}, next, { [DATA_PROFILES]: profiles, [DATA_ACTIVE_PROFILE]: name }));
+        if (missing.length > 0) await API.storage.local.remove(missing);
+        console.info(`Profile switched from "${active}" to "${name}"`);
+        return true;
+      } catch (error) {
+        console.error(`Error switching to profile "${name}": ${error}`);
+        return false;
+      }
+    });
+    if (switched === null) return true;
+    if (!switched) return false;
+
+    const tab = await Helpers.activeTab();
+    if (tab) {
+      await SelectAudio.executeInTab(tab, (name) => {
+        AUDIO_ShowToast(`Profile: ${name}`, 2);
+      }, [name]);
+    }
+    const report = await SelectAudio.reevaluateAllTabs(true);
+    console.info(`Rules of profile "${name}" applied to open tabs: ${JSON.stringify(report)}`);
+    return true;
+  },
+
+  /**
+   * Switch to the next profile in the list.
+   * @returns {Promise<boolean>} True if switched.
+   * @nothrows
+   */
+  cycle: async function () {
+    const { active, names } = await Profiles.list();
+    if (names.length < 2) {
+      const tab = await Helpers.activeTab();
+      if (tab) {
+        await SelectAudio.executeInTab(tab, (name) => {
+          AUDIO_ShowToast(`Profile: ${name} (the only one)`, 2);
+        }, [active]);
+      }
+      return false;
+    }
+    return await Profiles.switchTo(names[(names.indexOf(active) + 1) % names.length]);
+  },
+};
+
+const SelectAudio = {
+  /**
+   * Ensure that audio helpers are injected into all frames of the tab.
+   * @param {tabs.Tab|number|any} tab The tab to inject into.
+   * @returns {Promise<boolean>} True if audio helpers are injected at least into the top frame, false otherwise.
+   * @nothrows If the tab is not found or the script fails to inject, this function will not throw an error.
+   */
+  inject: async function (tab) {
+    // Page script is optional: without it only media elements will be routed
+    const pageOk = await Helpers.injectScript(tab, "scripts/audio_page.js", "MAIN", true);
+    if (!pageOk) console.warn("Page audio script isn't injected, AudioContext routing is unavailable.");
+    return await Helpers.injectScript(tab, "scripts/audio.js", "ISOLATED", true);
+  },
+
+  /**
+   * Execute a function in the context of a specific tab (top frame) but ensure before that audio helpers injected.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {Function} func The function to execute.
+   * @param {Array} args The arguments to pass to the function.
+   * @returns {Promise<any>} The result of the function execution or null if failed.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  executeInTab: async function (tab, func, args = []) {
+    const ok = await SelectAudio.inject(tab);
+    if (!ok) return null;
+    return await Helpers.executeInTab(tab, func, args);
+  },
+
+  /**
+   * Execute a function in the context of each frame of a tab but ensure before that audio helpers injected.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {Function} func The function to execute.
+   * @param {Array} args The arguments to pass to the function.
+   * @param {number[]|null} frameIds The frames to execute in, or null for all frames (Default: null).
+   * @returns {Promise<{frameId: number, result: any, error: string|null}[]>} The result of the function for each frame (empty if failed).
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  executeInFrames: async function (tab, func, args = [], frameIds = null) {
+    const ok = await SelectAudio.inject(tab);
+    if (!ok) return [];
+    return await Helpers.executeInFrames(tab, func, args, frameIds);
+  },
+
+  /**
+   * Enumerate audio input/output devices of the tab (top frame).
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @returns {Promise<{audioinput: {label: string, deviceId: string}[], audiooutput: {label: string, deviceId: string}[], videoinput: {label: string, deviceId: string}[]}>} The result of the function execution or null if failed.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   *
+   * @note Device ids are origin-scoped, ids seen by embedded frames are valid only for their own origins,
+   * so they are not mixed into the list. Frames get their ids by label when the device is applied (see applyToFrames).
+   */
+  enumerateDevices: async function (tab) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return null;
+    const devices = await SelectAudio.executeInTab(resolvedTab, () => {
+      return AUDIO_EnumerateDevices();
+    });
+    if (!devices) return null;
+
+    const origin = DeviceRegistry.originOf(resolvedTab.url);
+    if (origin) {
+      const topDevices = [];
+      for (const kind in devices) {
+        devices[kind].forEach((device) => topDevices.push(Object.assign({ kind }, device)));
+      }
+      await DeviceRegistry.register(origin, topDevices);
+    }
+    return devices;
+  },
+
+  /**
+   * Apply the audio device selected in the top frame to all other frames of the tab.
+   * @param {tabs.Tab} tab The tab to execute the function in.
+   * @param {string} label The label of the audio device to select.
+   * @param {string} id The ID of the audio device (in the top frame).
+   * @returns {Promise<{applied: number[], failed: {frameId: number, origin: string|null, error: string|null}[]}>} Ids of frames where device was applied and failed ones.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   *
+   * @note If some frames can't be switched, the user is told about them in the tab.
+   */
+  applyToFrames: async function (tab, label, id) {
+    const report = { applied: [], failed: [] };
+    const results = await Helpers.executeInFrames(tab, async (label, id) => {
+      // Top frame is already done
+      if (window === window.top) return null;
+      return { origin: location.origin, result: await AUDIO_SelectDeviceInFrame(label, id) };
+    }, [label, id]);
+
+    results.forEach((frameResult) => {
+      if (frameResult.frameId === 0) return;
+      if (frameResult.result?.result?.[0]) {
+        report.applied.push(frameResult.frameId);
+      } else {
+        report.failed.push({ frameId: frameResult.frameId, origin: frameResult.result?.origin || null, error: frameResult.error });
+        console.warn(`Failed to select audio device "${label}" in frame ${frameResult.frameId} of tab "${tab.title}"${frameResult.error ? ": " + frameResult.error : ""}`);
+      }
+    });
+
+    if (report.failed.length > 0) {
+      const frames = report.failed.map((frame) => frame.origin || `frame ${frame.frameId}`);
+      await Helpers.executeInTab(tab, (text) => {
+        AUDIO_ShowToast(text, 5);
+      }, [`Audio device "${label || "Default"}" couldn't be selected in embedded frames: ${Array.from(new Set(frames)).join(", ")}`]);
+    }
+    return report;
+  },
+
+  /**
+   * Select an audio device in the context of a specific tab.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {string} label The label of the audio device to select.
+   * @param {string} id The ID of the audio device to select.
+   * @param {boolean} saveAsManual Whether to save the device selection as manual.
+   * @param {string|null} deviceRef The stable ID of the device (see DeviceRegistry), if known.
+   * @param {boolean} silent Never ask the user: neither for permission nor to pick the device (Default: false).
+   * @returns {Promise<[true, string, string]|[false, null, null]>} The result of the function execution or null if failed.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   *
+   * @note The device is found in the registry by its stable ID, then by the id (seen by any origin),
+   * then by the label (callers which know only the label).
+   * Silent selection fails if the page isn't allowed to see devices and the registry has no id for its origin.
+   */
+  selectDevice: async function (tab = null, label = "", id = "", saveAsManual = true, deviceRef = null, silent = false) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return [false, null, null];
+
+    // Device ids are origin-scoped - use the id known for the origin of the tab
+    const origin = DeviceRegistry.originOf(resolvedTab.url);
+    if (origin && (deviceRef || id || label)) {
+      const record = (deviceRef && await DeviceRegistry.get(deviceRef))
+        || await DeviceRegistry.findById("audiooutput", null, id)
+        || (label ? await DeviceRegistry.findByLabel("audiooutput", label) : null);
+      const storedId = record?.deviceIds[origin];
+      if (storedId && storedId !== id) {
+        console.info(`Using id "${storedId}" known for origin ${origin} for device "${record.label}" (${id}) for tab "${resolvedTab.title}"`);
+        id = storedId;
+      } else if (record && !storedId && silent) {
+        // Ids of other origins are useless here, the device can only be found by label
+        id = "";
+      }
+      if (record && !label) label = record.label;
+    }
+    if (silent && !label && !id) return [false, null, null];
+    const result = await SelectAudio.executeInTab(resolvedTab, (label, id, silent) => {
+      return silent ? AUDIO_SelectDeviceInFrame(label, id) : AUDIO_SelectDevice(label, id);
+    }, [label, id, silent]);
+
+    if (result && result[0]) {
+      // Different origins have different ids for the same device
+      const registered = await DeviceRegistry.register(origin, [{ kind: "audiooutput", label: result[1], deviceId: result[2] }]);
+      const device = { label: result[1], deviceId: result[2], deviceRef: registered[0]?.stableId || null };
+      // Embedded players (iframes) should use the same device
+      await SelectAudio.applyToFrames(resolvedTab, result[1], result[2]);
+      await SelectAudio.applyDeviceDelay(resolvedTab, device);
+      await SelectAudio.watchDeviceChanges(resolvedTab, result[1]);
+      // Selecting a single device ends mirror mode
+      const changes = { device, mirrors: [] };
+      if (saveAsManual) {
+        changes.manualDevice = true;
+        changes.pinnedOrigin = origin;
+      }
+      await TabState.update(resolvedTab.id, changes);
+      console.info(`Audio device "${result[1]}" (${result[2]}) selected for tab "${resolvedTab.title}"`);
+    } else if (label && id) {
+      console.error(`Failed to select audio device "${label}" (${id}) for tab "${resolvedTab.title}"`);
+    }
+
+    return result;
+  },
+
+  /**
+   * Get the latency configured for the audio device in options: how late the device plays the sound.
+   * @param {string|null} origin The origin where the deviceId was seen.
+   * @param {{label: string, deviceId: string}|null} device The audio device, null - browser default.
+   * @returns {Promise<number>} Latency in ms, 0 if not configured.
+   *
+   * @note Settings are kept by the stable ID of the device, settings saved before the registry by its label.
+   */
+  getDeviceLatency: async function (origin, device) {
+    if (!device?.label) return 0;
+    const settings = await Helpers.getStorageValue(DATA_DEVICE_SETTINGS, {}) || {};
+    const record = await DeviceRegistry.findById("audiooutput", origin, device.deviceId);
+    const value = (record && settings[record.id]) || settings[device.label];
+    return Math.max(0, Number(value?.latency ?? value?.delay) || 0);
+  },
+
+  /**
+   * Keep outputs of the tab in sync: a slow device (like a Bluetooth headset) can't play earlier,
+   * so other outputs are held back to play together with the slowest one.
+   * @param {tabs.Tab} tab The tab to execute the function in.
+   * @param {{label: string, deviceId: string}|null} main The main audio device, null - browser default.
+   * @param {{label: string, deviceId: string}[]} mirrors Mirrored devices (ids in the top frame).
+   * @returns {Promise<boolean>} True if delays were applied at least in one frame, false otherwise.
+   * @nothrows If the script fails to execute, this function will not throw an error.
+   *
+   * @note With a single output nothing is delayed, the latency of the device can't be compensated in audio.
+   */
+  applyDeviceDelay: async function (tab, main, mirrors = []) {
+    const origin = DeviceRegistry.originOf(tab.url);
+    const mainLatency = await SelectAudio.getDeviceLatency(origin, main);
+    const latencies = [];
+    for (const mirror of mirrors) {
+      latencies.push(await SelectAudio.getDeviceLatency(origin, mirror));
+    }
+    const slowest = Math.max(mainLatency, ...latencies);
+    const delay = slowest - mainLatency;
+    const mirrorDelays = {};
+    mirrors.forEach((mirror, index) => {
+      mirrorDelays[mirror.deviceId] = slowest - latencies[index];
+    });
+    const results = await SelectAudio.executeInFrames(tab, (delay, mirrorDelays) => {
+      return AUDIO_SetProcessing({ delay, mirrorDelays });
+    }, [delay, mirrorDelays]);
+    if (mirrors.length > 0 && slowest > 0) console.info(`Outputs of tab "${tab.title}" aligned to the latency of ${slowest} ms`);
+    return results.some((frameResult) => frameResult.result);
+  },
+
+  /**
+   * Let the tab follow the preferred device: move to fallback devices when it disappears and back when it returns.
+   * @param {tabs.Tab} tab The tab to execute the function in.
+   * @param {string} label The label of the preferred device.
+   * @returns {Promise<void>}
+   * @nothrows If the script fails to execute, this function will not throw an error.
+   */
+  watchDeviceChanges: async function (tab, label) {
+    const stored = await Helpers.getStorageValue(DATA_FALLBACK_DEVICES, []);
+    const origin = DeviceRegistry.originOf(tab.url);
+    const fallbacks = [];
+    for (const fallback of Array.isArray(stored) ? stored : []) {
+      // Lists saved before the registry have only labels
+      const entry = typeof fallback === "string" ? { label: fallback, deviceRef: null } : fallback;
+      const device = entry?.deviceRef ? await DeviceRegistry.resolve(entry.deviceRef, origin) : null;
+      if (device || entry?.label) fallbacks.push({ label: device?.label || entry.label, deviceId: device?.deviceId || null });
+    }
+    await SelectAudio.executeInTab(tab, (label, fallbacks) => {
+      AUDIO_WatchDeviceChanges(label, fallbacks);
+    }, [label, fallbacks]);
+  },
+
+  /**
+   * Handle the device change made by the tab itself (device was disconnected or connected back).
+   * @param {tabs.Tab} tab The tab where the device was changed.
+   * @param {string|null} label The label of the device now used by the tab, null - browser default.
+   * @param {string} id The ID of the device (in the top frame).
+   * @param {string} reason "fallback", "restored" or "default".
+   * @returns {Promise<void>}
+   * @nothrows
+   */
+  onDeviceChanged: async function (tab, label, id, reason) {
+    console.info(`Audio device of tab "${tab.title}" changed to "${label || "Default"}" (${reason})`);
+    let device = null;
+    if (label) {
+      const registered = await DeviceRegistry.register(DeviceRegistry.originOf(tab.url), [{ kind: "audiooutput", label, deviceId: id }]);
+      device = { label, deviceId: id, deviceRef: registered[0]?.stableId || null };
+    }
+    // Embedded players follow the top frame, to the browser default too
+    await SelectAudio.applyToFrames(tab, label || "", label ? id : "");
+    // Mirrors keep playing, the new main device can't be its own mirror
+    const state = await TabState.get(tab.id);
+    const mirrors = state.mirrors.filter((mirror) => mirror.deviceId !== id);
+    await SelectAudio.applyDeviceDelay(tab, device, mirrors);
+    await TabState.update(tab.id, { device, mirrors });
+  },
+
+  /**
+   * Handle the list of connected output devices reported by a tab and offer to use newly connected ones.
+   * @param {string[]} labels Labels of connected output devices.
+   * @returns {Promise<void>}
+   * @nothrows
+   *
+   * @note All tabs report the same change, only the first report finds new devices.
+   * The first report after start of the background is used as a baseline.
+   */
+  onDevicesReported: async function (labels) {
+    const known = await TabState.exchangeGlobal("connectedOutputDevices", labels);
+    if (!known) return;
+    const added = labels.filter((label) => !known.includes(label));
+    for (const label of added) {
+      await SelectAudio.offerNewDevice(label);
+    }
+  },
+
+  /**
+   * Move the meeting tab or audible tabs to the newly connected device, asking the user unless
+   * "always" was chosen for this device before.
+   * @param {string} label The label of the new device.
+   * @returns {Promise<number>} Count of tabs moved to the device.
+   * @nothrows
+   */
+  offerNewDevice: async function (label) {
+    const meetingTabs = [];
+    for (const manager of MeetManagers) {
+      if (manager.isEnabled()) meetingTabs.push(...(await manager.getTabsWithInMeeting()));
+    }
+
+    // Actions are kept by stable ID of the device, actions saved before the registry by label
+    let actions = await Helpers.getStorageValue(DATA_NEW_DEVICE_ACTIONS, []) || [];
+    if (!Array.isArray(actions)) actions = Object.keys(actions).map((key) => ({ label: key, deviceRef: null, action: actions[key] }));
+    const record = await DeviceRegistry.findByLabel("audiooutput", label);
+    const remembered = actions.find((entry) => record && entry.deviceRef === record.id)
+      || actions.find((entry) => !entry.deviceRef && entry.label === label);
+    let action = remembered?.action;
+    if (action) {
+      console.info(`New audio device "${label}" connected, moving ${action} tabs as remembered`);
+    } else {
+      // Pages like chrome:// or about: can't show the question, a system notification is used then
+      const activeTab = await Helpers.activeTab();
+      const answer = activeTab ? await SelectAudio.executeInTab(activeTab, async (label, hasMeeting) => {
+        return { choice: await AUDIO_OfferNewDevice(label, hasMeeting) };
+      }, [label, meetingTabs.length > 0]) : null;
+      const choice = answer ? answer.choice : await SelectAudio.offerNewDeviceByNotification(label, meetingTabs.length > 0);
+      if (!choice?.action) return 0;
+      action = choice.action;
+      if (choice.always) {
+        actions.push({ label, deviceRef: record?.id || null, action });
+        await Helpers.setStorageValue(DATA_NEW_DEVICE_ACTIONS, actions);
+      }
+    }
+
+    const tabs = action === "meeting" ? meetingTabs : await API.tabs.query({ audible: true }).catch(() => []);
+    let moved = 0;
+    for (const tab of tabs) {
+      const result = await SelectAudio.selectDevice(tab, label, "", true);
+      if (result && result[0]) moved++;
+    }
+    console.info(`Moved ${moved} of ${tabs.length} tabs to new audio device "${label}"`);
+    return moved;
+  },
+
+  /**
+   * Offer to move tabs to the newly connected device with a system notification.
+   * @param {string} label The label of the new device.
+   * @param {boolean} hasMeeting Whether there is a meeting tab to move.
+   * @returns {Promise<{action: "meeting"|"audible", always: boolean}|null>} The choice or null if dismissed.
+   * @nothrows
+   */
+  offerNewDeviceByNotification: async function (label, hasMeeting) {
+    const actions = hasMeeting ? ["meeting", "audible"] : ["audible"];
+    const index = await Helpers.askByNotification("New audio device connected", label, actions.map((action) => {
+      return action === "meeting" ? "Move meeting" : "Move playing tabs";
+    }));
+    return index === null || !actions[index] ? null : { action: actions[index], always: false };
+  },
+
+  /**
+   * Watch connected audio output devices, so new devices are noticed without tabs with injected helpers.
+   * @returns {Promise<boolean>} True if devices are watched, false otherwise.
+   * @nothrows
+   *
+   * @note Service workers (Chrome) can't use media devices, an offscreen document watches them and reports back.
+   * The background page (Firefox) watches them itself.
+   */
+  watchDevices: async function () {
+    if (!API.offscreen) {
+      return DeviceWatcher.watch((labels) => SelectAudio.onDevicesReported(labels));
+    }
+    try {
+      const contexts = await API.runtime.getContexts({
+        contextTypes: ["OFFSCREEN_DOCUMENT"],
+        documentUrls: [API.runtime.getURL("offscreen.html")],
+      });
+      if (contexts.length === 0) {
+        await API.offscreen.createDocument({
+          url: "offscreen.html",
+          reasons: ["USER_MEDIA"],
+          justification: "Notice newly connected audio output devices",
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error(`Error creating offscreen document: ${error}`);
+      return false;
+    }
+  },
+
+  /**
+   * Let the user select several audio devices and play the tab audio on all of them at once.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @returns {Promise<[true, string[], string[]]|[false, null, null]>} Labels and ids of used devices (the first one is the main device).
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  mirrorDevices: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return [false, null, null];
+
+    const result = await SelectAudio.executeInTab(resolvedTab, () => {
+      return AUDIO_RequestUserSelectDevice(true);
+    });
+
+    if (result && result[0]) {
+      const registered = await DeviceRegistry.register(DeviceRegistry.originOf(resolvedTab.url), result[1].map((label, index) => {
+        return { kind: "audiooutput", label, deviceId: result[2][index] };
+      }));
+      const devices = registered.map((device) => ({ label: device.label, deviceId: device.deviceId, deviceRef: device.stableId }));
+      // Embedded players (iframes) use only the main device
+      await SelectAudio.applyToFrames(resolvedTab, result[1][0], result[2][0]);
+      await SelectAudio.applyDeviceDelay(resolvedTab, devices[0], devices.slice(1));
+      await SelectAudio.watchDeviceChanges(resolvedTab, result[1][0]);
+      await TabState.update(resolvedTab.id, {
+        manualDevice: true,
+        device: devices[0],
+        mirrors: devices.slice(1),
+        pinnedOrigin: DeviceRegistry.originOf(resolvedTab.url),
+      });
+      console.info(`Audio of tab "${resolvedTab.title}" mirrored to "${result[1].join("\", \"")}"`);
+      return result;
+    }
+    return [false, null, null];
+  },
+
+  /**
+   * Let the user assign audio devices to each media element of the tab individually.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @returns {Promise<{elements: number, assigned: number}|null>} Count of found elements and elements with own device, or null if failed.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  selectDevicePerElement: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return null;
+
+    const result = await SelectAudio.executeInTab(resolvedTab, () => {
+      return AUDIO_RequestUserSelectPerElement();
+    });
+
+    if (result && result.assigned > 0) {
+      // Don't let auto selection override user choice
+      await TabState.update(resolvedTab.id, { manualDevice: true });
+      console.info(`Audio devices assigned for ${result.assigned} of ${result.elements} media elements in tab "${resolvedTab.title}"`);
+    }
+    return result;
+  },
+
+  /**
+   * Reset the audio device of the tab to the browser default and forget the manual selection.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @returns {Promise<boolean>} True if the device was reset successfully, false otherwise.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  resetDevice: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+
+    const results = await SelectAudio.executeInFrames(resolvedTab, () => {
+      return AUDIO_ResetDevice();
+    });
+    results.forEach((frameResult) => {
+      if (!frameResult.result) {
+        console.warn(`Failed to reset audio device in frame ${frameResult.frameId} of tab "${resolvedTab.title}"${frameResult.error ? ": " + frameResult.error : ""}`);
+      }
+    });
+    const result = results.length > 0 && results.every((frameResult) => frameResult.result);
+    await SelectAudio.applyDeviceDelay(resolvedTab, null);
+
+    await TabState.update(resolvedTab.id, { manualDevice: false, device: null, mirrors: [], pinnedOrigin: null });
+    if (result) {
+      console.info(`Audio device reset to default for tab "${resolvedTab.title}"`);
+    } else {
+      console.error(`Failed to reset audio device for tab "${resolvedTab.title}"`);
+    }
+    return !!result;
+  },
+
+  /**
+   * Set the volume level of the tab and remember it.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {number} volume Volume level from 0 (muted) to VOLUME_MAX.
+   * @param {boolean} notify Whether to show the new level in the tab (Default: true).
+   * @returns {Promise<boolean>} True if the volume was applied, false otherwise.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  setVolume: async function (tab, volume, notify = true) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+
+    // Round to avoid float drift after many steps
+    volume = Math.round(Math.max(0, Math.min(VOLUME_MAX, volume)) * 100) / 100;
+    const results = await SelectAudio.executeInFrames(resolvedTab, (volume) => {
+      return AUDIO_SetVolume(volume);
+    }, [volume]);
+    const result = results.some((frameResult) => frameResult.result);
+
+    if (result) {
+      await TabState.update(resolvedTab.id, { volume });
+      console.info(`Volume ${Math.round(volume * 100)}% set for tab "${resolvedTab.title}"`);
+    } else {
+      console.error(`Failed to set volume ${Math.round(volume * 100)}% for tab "${resolvedTab.title}"`);
+    }
+    if (notify) {
+      await Helpers.executeInTab(resolvedTab, (text) => {
+        AUDIO_ShowToast(text);
+      }, [result ? `Volume: ${Math.round(volume * 100)}%` : "Volume can't be changed on this page"]);
+    }
+    return result;
+  },
+
+  /**
+   * Change the volume level of the tab by the step.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {number} direction 1 to increase, -1 to decrease.
+   * @returns {Promise<boolean>} True if the volume was applied, false otherwise.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  changeVolume: async function (tab, direction) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+    const current = (await TabState.get(resolvedTab.id)).volume;
+    return await SelectAudio.setVolume(resolvedTab, current + direction * VOLUME_STEP);
+  },
+
+  /**
+   * Automatically select an audio device for the given tab.
+   * @param {tabs.Tab} tab The tab to execute the function in.
+   * @param {boolean} silent Never ask the user for permission, the device isn't selected if the tab can't see it (Default: false).
+   * @returns {Promise<"changed"|"unchanged"|"skipped"|"failed">} What happened to the tab (see SelectAudio.mergeOutcomes).
+   * 
+   * @note Automatic select based on user settings.
+   */
+  autoSelectDevice: async function (tab, silent = false) {
+    if (!tab?.url) return "skipped";
+    const state = await TabState.get(tab.id);
+    const manualDevice = state.manualDevice;
+    const manualProcessing = state.manualProcessing;
+    if (manualDevice && manualProcessing) {
+      console.info(`Tab ${tab.id} has manual audio device and processing set. Skipping auto selection.`);
+      return "skipped";
+    }
+
+    const match = await SelectAudio.matchRules(tab);
+    await TabState.update(tab.id, { rule: SelectAudio.ruleOf(match) });
+    // Tabs which no rule matches go to the default device of the profile
+    const pattern = match.pattern || await SelectAudio.defaultPattern();
+    if (!pattern || pattern.exclude) return "unchanged";
+
+    const outcomes = [];
+    const processing = RuleRouting.processing(pattern);
+    if (RuleRouting.hasDevice(pattern) && !manualDevice) {
+      const device = await SelectAudio.deviceFromPattern(pattern, tab);
+      const known = await DeviceRegistry.findById("audiooutput", DeviceRegistry.originOf(tab.url), device.deviceId);
+      const result = silent && !known && !await SelectAudio.presentOutputs(tab)
+        ? null : await SelectAudio.selectDevice(tab, device.label, device.deviceId, false, device.deviceRef, silent);
+      if (!result) {
+        // Neither the registry knows the id for the origin, nor the page is allowed to see devices
+        console.info(`Tab "${tab.title}" needs permission to select audio device "${device.label}", skipped`);
+        outcomes.push("skipped");
+      } else if (!result[0]) {
+        outcomes.push("failed");
+      } else {
+        const same = state.device?.label === result[1] && state.device?.deviceId === result[2];
+        outcomes.push(same ? "unchanged" : "changed");
+      }
     }
-
-    return results[0].result;
+    if (processing && !manualProcessing) {
+      const same = JSON.stringify(state.processing) === JSON.stringify(processing);
+      const result = await SelectAudio.setProcessing(tab, processing, false);
+      outcomes.push(!result ? "failed" : (same ? "unchanged" : "changed"));
+    }
+    return SelectAudio.mergeOutcomes(outcomes);
   },
 
   /**
-   * Inject a script into a tab.
-   * @param {tabs.Tab|number|any} tab The tab identifier (ID, object, or other).
-   * @param {string} script The script to inject.
-   * @returns {Promise<boolean>} True if the script was injected successfully, false otherwise.
-   * @nothrows If the tab is not found or the script fails to inject, this function will not throw an error.
+   * Get the outcome for the tab from outcomes of its steps: any failure fails the tab,
+   * otherwise any change changes it.
+   * @param {("changed"|"unchanged"|"skipped"|"failed")[]} outcomes Outcomes of steps, empty - nothing was done.
+   * @returns {"changed"|"unchanged"|"skipped"|"failed"}
    */
-  injectScript: async function (tab, script) {
-    const resolvedTab = await Helpers.resolveTab(tab);
-    if (!resolvedTab) {
-      console.error("No valid tab found to inject script.");
-      return false;
+  mergeOutcomes: function (outcomes) {
+    for (const outcome of ["failed", "changed", "skipped"]) {
+      if (outcomes.includes(outcome)) return outcome;
     }
+    return "unchanged";
+  },
+
+  /**
+   * Get the record of the winning rule kept in TabState.
+   * @param {{pattern: Object|null, index: number}} match The result of SelectAudio.matchRules.
+   * @returns {{index: number, urlPattern: string, exclude: boolean}|null}
+   */
+  ruleOf: function (match) {
+    if (!match?.pattern) return null;
+    return { index: match.index, urlPattern: match.pattern.urlPattern, exclude: !!match.pattern.exclude };
+  },
 
+  /**
+   * Match rules for the tab again and route it by the new winning rule if it changed.
+   * @param {tabs.Tab} tab The tab to re-evaluate.
+   * @param {boolean} force Apply the winning rule even if it didn't change.
+   * @param {boolean} silent Never ask the user for permission (see SelectAudio.autoSelectDevice).
+   * @returns {Promise<"changed"|"unchanged"|"skipped"|"failed">} What happened to the tab.
+   * @nothrows
+   *
+   * @note Device and processing set manually are kept. When no rule routes the tab anymore,
+   * the device and processing set by the previous rule are reset (or the default device of the profile is used).
+   */
+  reevaluateTab: async function (tab, force = false, silent = false) {
+    if (!tab?.url || !tab.url.startsWith("http")) return "skipped";
     try {
-      await API.scripting.executeScript({
-        target: { tabId: resolvedTab.id },
-        files: [script],
-      });
-      return true;
+      const state = await TabState.get(tab.id);
+      if (state.manualDevice && state.manualProcessing) return "skipped";
+
+      const match = await SelectAudio.matchRules(tab);
+      const rule = SelectAudio.ruleOf(match);
+      const previous = state.rule;
+      const same = (!rule && !previous) || (rule && previous && rule.index === previous.index && rule.urlPattern === previous.urlPattern);
+      if (same && !force) return "unchanged";
+
+      // Undo what the previous rule (or the default device) did if the new one doesn't set it
+      const pattern = match.pattern || await SelectAudio.defaultPattern();
+      const routes = !!pattern && !pattern.exclude;
+      const outcomes = [];
+      if (!state.manualDevice && state.device && !(routes && RuleRouting.hasDevice(pattern))) {
+        outcomes.push(await SelectAudio.resetDevice(tab) ? "changed" : "failed");
+      }
+      // Neutral processing left by an earlier reset doesn't need another one
+      if (!state.manualProcessing && state.processing && RuleRouting.processing(state.processing)
+        && !(routes && RuleRouting.processing(pattern))) {
+        const neutral = { balance: 0, swapChannels: false, mono: false, equalizerPreset: "", equalizerGains: [], compressorPreset: "" };
+        outcomes.push(await SelectAudio.setProcessing(tab, neutral, false) ? "changed" : "failed");
+      }
+
+      if (routes) {
+        outcomes.push(await SelectAudio.autoSelectDevice(tab, silent));
+      } else {
+        await TabState.update(tab.id, { rule });
+      }
+      return SelectAudio.mergeOutcomes(outcomes);
     } catch (error) {
-      console.error(`Error injecting script ${script} in tab ${resolvedTab.id}: ${error}`);
-      return false;
+      console.error(`Error re-evaluating rules for tab "${tab.title}": ${error}`);
+      return "failed";
     }
   },
 
   /**
-   * Focus a tab and optionally unmute it.
-   * @param {tabs.Tab|number|any} tab The tab identifier (ID, object, or other).
-   * @param {boolean} unmute Whether to unmute the tab (Default: false).
-   * @returns {Promise<boolean>} True if the tab was focused successfully, false otherwise.
-   * @nothrows If the tab is not found or the focus action fails, this function will not throw an error.
+   * Re-evaluate rules for all open tabs (see SelectAudio.reevaluateTab).
+   * @param {boolean} force Apply winning rules even if they didn't change.
+   * @returns {Promise<{changed: number, unchanged: number, skipped: number, failed: number}>} Number of tabs by result.
+   * @nothrows
+   *
+   * @note Tabs aren't asked for permission to see devices (one prompt per tab otherwise),
+   * tabs which need it are counted as skipped.
    */
-  focusTab: async function (tab, unmute = false) {
-    const resolvedTab = await Helpers.resolveTab(tab);
-    if (!resolvedTab) {
-      console.error("No valid tab found to focus.");
-      return false;
+  reevaluateAllTabs: async function (force = false) {
+    const report = { changed: 0, unchanged: 0, skipped: 0, failed: 0 };
+    const tabs = await API.tabs.query({ url: ["http://*/*", "https://*/*"] }).catch((error) => {
+      console.error(`Error querying tabs: ${error}`);
+      return [];
+    });
+    for (const tab of tabs) {
+      report[await SelectAudio.reevaluateTab(tab, force, true)]++;
     }
+    return report;
+  },
 
-    // Make tab and window active
-    console.log(`Making tab ${resolvedTab.title} active`);
+  /**
+   * Apply rules to all open tabs now, e.g. after rules were edited (see SelectAudio.reevaluateAllTabs).
+   * @param {boolean} showReport Show the report as a toast in the active tab.
+   * @returns {Promise<{changed: number, unchanged: number, skipped: number, failed: number}>} Number of tabs by result.
+   * @nothrows
+   *
+   * @note Device and processing set manually are kept, tabs where both are set manually are skipped.
+   */
+  applyRulesToOpenTabs: async function (showReport = false) {
+    const report = await SelectAudio.reevaluateAllTabs(true);
+    const text = `Rules applied to open tabs: ${report.changed} changed, ${report.unchanged} unchanged, ` +
+      `${report.skipped} skipped, ${report.failed} failed`;
+    console.info(text);
+    if (showReport) {
+      const tab = await Helpers.activeTab();
+      if (tab) {
+        await SelectAudio.executeInTab(tab, (text) => {
+          AUDIO_ShowToast(text, 4);
+        }, [text]);
+      }
+    }
+    return report;
+  },
+
+  /**
+   * Get the default device of the active profile as a pattern, it routes tabs which no rule matches.
+   * @returns {Promise<Object|null>} The pattern or null if the profile has no default device.
+   * @nothrows
+   */
+  defaultPattern: async function () {
+    const device = await Helpers.getStorageValue(DATA_DEFAULT_DEVICE, null);
+    if (!device?.label) return null;
+    return { urlPattern: "", audioOutput: device.label, audioOutputId: "", deviceRef: device.deviceRef || null, isDefault: true };
+  },
+
+  /**
+   * Set the alarm to the nearest time when a rule schedule starts or stops applying.
+   * @returns {Promise<Date|null>} The time of the alarm or null if rules have no schedules.
+   * @nothrows
+   */
+  scheduleNextBoundary: async function () {
     try {
-      // We need to be sure that window with this tab is active
-      await API.windows.update(resolvedTab.windowId, { focused: true });
-      // Switch to the tab
-      await API.tabs.update(resolvedTab.id, unmute ? { muted: false, active: true } : { active: true });
-      return true;
+      const patterns = await Helpers.getStorageValue(DATA_PATTERNS, []);
+      const next = RuleSchedule.nextBoundary(patterns);
+      await API.alarms.clear(ALARM_SCHEDULE);
+      if (next) {
+        // A bit later, so the new minute is surely reached
+        await API.alarms.create(ALARM_SCHEDULE, { when: next.getTime() + 1000 });
+        console.info(`Routing rules will be re-evaluated at ${next.toLocaleString()}`);
+      }
+      return next;
     } catch (error) {
-      console.error(`Error switching to tab ${resolvedTab.id}: ${error}`);
-      return false;
+      console.error(`Error scheduling re-evaluation of rules: ${error}`);
+      return null;
     }
   },
 
   /**
-   * Open a new tab with the specified URL.
-   * @param {string} url The URL to open in the new tab.
-   * @returns {Promise<tabs.Tab|null>} The created tab object or null if failed.
-   * @nothrows If the URL is invalid or the tab cannot be created, this function will not throw an error.
+   * Re-evaluate rules for tabs when a schedule boundary passes.
+   * Only tabs which play audio or were routed by a rule are checked, others are routed when they start playing.
+   * @returns {Promise<void>}
+   * @nothrows
    *
-   * @note To detect when the tab has finished loading, listen to the tabs.onUpdated or the
-   * webNavigation.onCompleted event before calling tabs.create.
+   * @note Tabs aren't asked for permission to see devices (nobody is there to answer a prompt),
+   * tabs which need it are skipped until the user routes them.
    */
-  openTab: function (url) {
-    return API.tabs.create({ url, active: true }).catch((error) => {
-      console.error(`Error creating tab with URL ${url}: ${error}`);
-      return null;
+  onScheduleBoundary: async function () {
+    const tabs = await API.tabs.query({}).catch((error) => {
+      console.error(`Error querying tabs: ${error}`);
+      return [];
     });
+    for (const tab of tabs) {
+      const state = await TabState.get(tab.id);
+      if (!tab.audible && !state.rule) continue;
+      const result = await SelectAudio.reevaluateTab(tab, false, true);
+      if (result === "changed") console.info(`Tab "${tab.title}" re-routed by schedule`);
+    }
+    await SelectAudio.scheduleNextBoundary();
   },
 
+  // Pending re-evaluations of tabs after URL changes, by tab id
+  _navigationTimers: new Map(),
+
   /**
-   * Get a value from storage.
-   * @param {string} key The key to retrieve.
-   * @param {any} defaultValue The default value to return if the key is not found (Default: null).
-   * @returns {Promise<any>} The stored value or the default value.
-   * @nothrows If the key is not found or an error occurs, this function will not throw an error.
+   * Re-evaluate rules for the tab after its URL changed, e.g. by history state or fragment navigation of single-page apps.
+   * Changes are debounced, so apps which change the URL several times in a row are matched only by the final URL.
+   * @param {number} tabId The id of the tab.
+   * @nothrows
+   *
+   * @note Like on schedule boundaries, only tabs which play audio or were routed by a rule are checked.
+   * Tabs which are still loading are skipped, they are routed when the load completes.
+   * Called only for same-document navigations (webNavigation), full loads cancel the pending re-evaluation.
+   * Navigation isn't a request to route the tab, so it's never asked for permission to see devices (see SelectAudio.onScheduleBoundary).
    */
-  getStorageValue: async function (key, defaultValue = null) {
-    try {
-      return await API.storage.local.get(key).then((data) => {
-        if (data && data[key] !== undefined) {
-          return data[key];
+  onUrlChanged: function (tabId) {
+    clearTimeout(SelectAudio._navigationTimers.get(tabId));
+    SelectAudio._navigationTimers.set(tabId, setTimeout(async () => {
+      SelectAudio._navigationTimers.delete(tabId);
+      const tab = await API.tabs.get(tabId).catch(() => null);
+      if (!tab || tab.status !== "complete") return;
+      const state = await TabState.get(tab.id);
+      if (!tab.audible && !state.rule) return;
+      const result = await SelectAudio.reevaluateTab(tab, false, true);
+      if (result === "changed") console.info(`Tab "${tab.title}" re-routed after navigation to ${tab.url}`);
+    }, NAVIGATION_DEBOUNCE_MS));
+  },
+
+  /**
+   * Check if the tab is in a meeting of any enabled meet type.
+   * @param {tabs.Tab} tab
+   * @returns {Promise<boolean>}
+   * @nothrows
+   */
+  isTabInMeeting: async function (tab) {
+    // Tabs made up from URL (rule tester) are never in a meeting
+    if (typeof tab?.id !== "number") return false;
+    for (const manager of MeetManagers) {
+      if (!manager.isEnabled() || !manager.isTab(tab)) continue;
+      const state = await manager.getState(tab);
+      if (state?.inMeeting) return true;
+    }
+    return false;
+  },
+
+  /**
+   * Check rules (patterns) against the tab in order, the first matching rule wins.
+   * @param {tabs.Tab} tab The tab to check (url, title and incognito are used).
+   * @param {Object[]|null} patterns Rules to check, null - rules from storage.
+   * @returns {Promise<{pattern: Object|null, index: number, trace: {index: number, urlPattern: string, matched: boolean, reason: string}[]}>}
+   *   The winning rule with its index (-1 if none) and the result of every rule in order.
+   * @nothrows
+   *
+   * @note Exclude rules win as any other rule, but route nothing.
+   * Rules without device and processing are skipped as they don't change anything.
+   */
+  matchRules: async function (tab, patterns = null) {
+    const data = patterns ?? await Helpers.getStorageValue(DATA_PATTERNS, []);
+    const result = { pattern: null, index: -1, trace: [] };
+    if (!Array.isArray(data)) return result;
+
+    let inMeeting = null;
+    for (let index = 0; index < data.length; index++) {
+      const pattern = data[index];
+      const check = async () => {
+        if (!pattern?.urlPattern) return "No URL pattern";
+        if (!RuleRouting.isActive(pattern)) {
+          return "Has no device or audio processing";
         }
-        return defaultValue;
+        const error = URLPatterns.validate(pattern.urlPattern, pattern.syntax);
+        if (error) return `Invalid URL pattern: ${error}`;
+        if (!URLPatterns.test(pattern.urlPattern, pattern.syntax, tab.url)) return "URL doesn't match";
+        if (!RuleSchedule.isActive(pattern)) return `Outside of schedule (${RuleSchedule.describe(pattern)})`;
+        if (pattern.titleContains && !(tab.title || "").toLowerCase().includes(pattern.titleContains.toLowerCase())) {
+          return `Title doesn't contain "${pattern.titleContains}"`;
+        }
+        if (pattern.incognito === "only" && !tab.incognito) return "Tab isn't incognito";
+        if (pattern.incognito === "never" && tab.incognito) return "Tab is incognito";
+        if (pattern.inMeeting) {
+          if (inMeeting === null) inMeeting = await SelectAudio.isTabInMeeting(tab);
+          if (!inMeeting) return "Tab isn't in a meeting";
+        }
+        return null;
+      };
+      const reason = await check();
+      result.trace.push({ index, urlPattern: pattern?.urlPattern || "", matched: !reason, reason: reason || (pattern.exclude ? "Excludes" : "Matches") });
+      if (!reason && !result.pattern) {
+        result.pattern = pattern;
+        result.index = index;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Preview routing of a URL or an open tab without changing anything (rule tester of the options page).
+   * @param {string} url The URL to test, used if the tab is not given.
+   * @param {number|null} tabId ID of an open tab to test, its title, incognito and meeting state are checked too.
+   * @param {Object[]|null} patterns Rules to check, null - rules from storage.
+   * @returns {Promise<{url: string, index: number, trace: Object[], exclude: boolean, device: string|null, candidates: string[], processing: boolean, manualDevice: string|null, permission: boolean}>}
+   *   Result of SelectAudio.matchRules with the device the winning rule (or the default device of the profile) would select (null - device isn't changed)
+   *   and all its candidate devices in order,
+   *   the device selected manually in the tab (rules don't override it) and whether the host permission is granted.
+   * @nothrows
+   */
+  testRules: async function (url, tabId = null, patterns = null) {
+    let tab = null;
+    if (typeof tabId === "number") {
+      tab = await API.tabs.get(tabId).catch((error) => {
+        console.warn(`Error getting tab ${tabId}: ${error}`);
+        return null;
       });
-    } catch(error) {
-      console.error(`Error getting storage value for key ${key}: ${error}`);
+    }
+    if (!tab) tab = { url: url || "", title: "", incognito: false };
+
+    const match = await SelectAudio.matchRules(tab, patterns);
+    const pattern = match.pattern;
+    const result = {
+      url: tab.url || "",
+      index: match.index,
+      trace: match.trace,
+      exclude: !!pattern?.exclude,
+      device: null,
+      candidates: [],
+      processing: !!pattern && !pattern.exclude && !!RuleRouting.processing(pattern),
+      manualDevice: null,
+      permission: false,
     };
+    const routing = pattern || await SelectAudio.defaultPattern();
+    if (routing && !routing.exclude && RuleRouting.hasDevice(routing)) {
+      result.device = (await SelectAudio.deviceFromPattern(routing, tab)).label;
+      result.candidates = SelectAudio.candidatesFromPattern(routing).map((candidate) => candidate.label);
+    }
+    if (typeof tab.id === "number") {
+      const state = await TabState.get(tab.id);
+      if (state.manualDevice) result.manualDevice = state.device?.label || "Default";
+    }
 
-    return defaultValue;
+    let origin = null;
+    try {
+      const parsed = new URL(tab.url);
+      if (parsed.protocol === "http:" || parsed.protocol === "https:") origin = `${parsed.protocol}//${parsed.hostname}/*`;
+    } catch (error) {
+      // Not a URL, there is no permission to check
+    }
+    if (origin) {
+      result.permission = await API.permissions.contains({ origins: [origin] }).catch((error) => {
+        console.warn(`Error checking permission for ${origin}: ${error}`);
+        return false;
+      });
+    }
+    return result;
   },
 
   /**
-   * Set a value in storage.
-   * @param {string} key The key to set.
-   * @param {any} value The value to set.
-   * @returns {Promise<any>} The set value or null if failed.
-   * @nothrows If the key is invalid or the value cannot be set, this function will not throw an error.
+   * Show in the tab why it uses its audio device: manual selection, winning rule or no rule.
+   * @param {tabs.Tab|number|any} tab The tab to explain.
+   * @returns {Promise<string|null>} The explanation or null if the tab is not found.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
    */
-  setStorageValue: async function (key, value) {
-    try {
-      await API.storage.local.set({ [key]: value });
-      return value;
-    } catch (error) {
-      console.error(`Error setting storage value for key ${key}: ${error}`);
+  explainRouting: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return null;
+
+    const state = await TabState.get(resolvedTab.id);
+    const match = await SelectAudio.matchRules(resolvedTab);
+    const pattern = match.pattern;
+    let text = "";
+    if (!pattern) {
+      const defaultPattern = await SelectAudio.defaultPattern();
+      text = defaultPattern ? `No rule matches this tab → ${defaultPattern.audioOutput} (default of the profile)` : "No rule matches this tab";
+    } else if (pattern.exclude) {
+      text = `Excluded by rule #${match.index + 1} (${pattern.urlPattern})`;
+    } else {
+      const target = RuleRouting.hasDevice(pattern) ? pattern.audioOutput : "default device";
+      text = `Rule #${match.index + 1} (${pattern.urlPattern}) → ${target}`;
+    }
+    if (state.manualDevice) {
+      text = `Device selected manually: ${state.device?.label || "Default"}\n(${text})`;
     }
 
-    return null;
+    await SelectAudio.executeInTab(resolvedTab, (text) => {
+      AUDIO_ShowToast(text, 5);
+    }, [text]);
+    console.info(`Routing of tab "${resolvedTab.title}": ${text}`);
+    return text;
   },
 
   /**
-   * Convert a wildcard pattern to a regular expression.
-   * @param {string} pattern The wildcard pattern to convert.
-   * @returns {RegExp} The resulting regular expression.
+   * Get devices the pattern routes to in order of preference: the audio output and its alternatives.
+   * @param {Object} pattern The pattern from storage.
+   * @returns {{label: string, deviceRef: string|null, deviceId: string}[]} Empty if the pattern has no device.
    */
-  wildcardToRegExp: function (pattern) {
-    if (!pattern || typeof pattern !== "string") return /^$/i;
-    const escaped = pattern
-      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
-      .replace(/\*/g, ".*")
-      .replace(/\?/g, ".");
-    return new RegExp("^" + escaped + "$", "i");
+  candidatesFromPattern: function (pattern) {
+    if (!RuleRouting.hasDevice(pattern)) return [];
+    const candidates = [{ label: pattern.audioOutput, deviceRef: pattern.deviceRef || null, deviceId: pattern.audioOutputId || "" }];
+    const alternatives = Array.isArray(pattern.alternativeOutputs) ? pattern.alternativeOutputs : [];
+    alternatives.forEach((device) => {
+      if (!device?.label || candidates.some((candidate) => candidate.label === device.label)) return;
+      // Ids of the options page are not stored for alternatives, the registry or the tab gives them
+      candidates.push({ label: device.label, deviceRef: device.deviceRef || null, deviceId: "" });
+    });
+    return candidates;
   },
 
-  store: {},
-  get: function(key, defValue = null) {
-    return Helpers.store[key] !== undefined ? Helpers.store[key] : defValue;
-  },
-  set: function(key, value) {
-    Helpers.store[key] = value;
-  },
-  add: function(key, value) {
-    if (Array.isArray(Helpers.store[key])) {
-      Helpers.store[key].push(value);
-    } else {
-      Helpers.store[key] = [value];
-    }
+  /**
+   * Get audio outputs connected now as the top frame of the tab sees them, the user is not asked for permission.
+   * @param {tabs.Tab} tab The tab to check.
+   * @returns {Promise<{label: string, deviceId: string}[]|null>} Devices or null if unknown (no tab or no permission to see labels).
+   * @nothrows
+   */
+  presentOutputs: async function (tab) {
+    if (typeof tab?.id !== "number") return null;
+    const devices = await SelectAudio.executeInTab(tab, () => {
+      return AUDIO_EnumerateDevices(true);
+    });
+    const outputs = devices?.audiooutput || [];
+    return outputs.length > 0 ? outputs : null;
   },
-  has: function(key, value = null) {
-    if (value === null) {
-      return Helpers.store[key] !== undefined;
+
+  /**
+   * Get the audio device defined by the pattern for the tab: the first of its candidates which is connected.
+   * @param {Object} pattern The pattern from storage.
+   * @param {tabs.Tab} tab The tab to route.
+   * @returns {Promise<{label: string, deviceId: string, deviceRef: string|null}>} Label, deviceId and stable ID of the device to use in the tab.
+   * @nothrows
+   *
+   * @note Patterns keep the stable ID of the device (deviceRef), so they survive origin changes and renumbering.
+   * The deviceId stored in the pattern belongs to the options page and is only a last resort.
+   * If no candidate is connected (or it can't be checked), the audio output of the pattern is used.
+   */
+  deviceFromPattern: async function (pattern, tab) {
+    const origin = DeviceRegistry.originOf(tab.url);
+    const candidates = [];
+    for (const candidate of SelectAudio.candidatesFromPattern(pattern)) {
+      const device = candidate.deviceRef ? await DeviceRegistry.resolve(candidate.deviceRef, origin) : null;
+      candidates.push({
+        label: device ? device.label : candidate.label,
+        deviceId: device?.deviceId || candidate.deviceId,
+        deviceRef: candidate.deviceRef,
+      });
     }
-    if (Array.isArray(Helpers.store[key])) {
-      return Helpers.store[key].includes(value);
+    if (candidates.length === 0) return { label: pattern.audioOutput, deviceId: pattern.audioOutputId, deviceRef: pattern.deviceRef || null };
+    if (candidates.length === 1) return candidates[0];
+
+    const present = await SelectAudio.presentOutputs(tab);
+    if (!present) return candidates[0];
+    for (const candidate of candidates) {
+      const device = present.find((device) => device.label === candidate.label);
+      if (device) return { label: device.label, deviceId: device.deviceId, deviceRef: candidate.deviceRef };
     }
-    return false;
+    console.info(`None of the devices of rule "${pattern.urlPattern}" is connected, using "${candidates[0].label}"`);
+    return candidates[0];
   },
-  remove: function(key, value = null) {
-    if (value === null) {
-      delete Helpers.store[key];
-    } else if (Array.isArray(Helpers.store[key])) {
-      const index = Helpers.store[key].indexOf(value);
-      if (index !== -1) {
-        Helpers.store[key].splice(index, 1);
-      }
+
+  /**
+   * Apply audio processing settings to all frames of the tab and remember them.
+   * @param {tabs.Tab|number|any} tab The tab to execute the function in.
+   * @param {Object} processing Processing settings (balance, swapChannels, mono, equalizerPreset, equalizerGains, compressorPreset).
+   * @param {boolean} saveAsManual Whether to save the settings as manual, so rules will not override them.
+   * @returns {Promise<boolean>} True if the settings were applied, false otherwise.
+   * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
+   */
+  setProcessing: async function (tab, processing, saveAsManual = true) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+
+    const results = await SelectAudio.executeInFrames(resolvedTab, (processing) => {
+      return AUDIO_SetProcessing(processing);
+    }, [processing]);
+    const result = results.some((frameResult) => frameResult.result);
+
+    if (result) {
+      const changes = { processing };
+      if (saveAsManual) changes.manualProcessing = true;
+      await TabState.update(resolvedTab.id, changes);
+      console.info(`Audio processing ${JSON.stringify(processing)} applied for tab "${resolvedTab.title}"`);
+    } else {
+      console.error(`Failed to apply audio processing for tab "${resolvedTab.title}"`);
     }
+    return result;
   },
-};
 
-const SelectAudio = {
   /**
-   * Execute a function in the context of a specific tab but ensure before that audio helpers injected.
+   * Show the panel with audio processing settings in the tab and apply the result to the tab.
    * @param {tabs.Tab|number|any} tab The tab to execute the function in.
-   * @param {Function} func The function to execute.
-   * @param {Array} args The arguments to pass to the function.
-   * @returns {Promise<any>} The result of the function execution or null if failed.
+   * @returns {Promise<boolean>} True if the settings were applied, false otherwise.
    * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
    */
-  executeInTab: async function (tab, func, args = []) {
-    const ok = await Helpers.injectScript(tab, "scripts/audio.js");
-    if (!ok) return null;
-    return await Helpers.executeInTab(tab, func, args);
+  editProcessing: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+
+    const current = (await TabState.get(resolvedTab.id)).processing || {};
+    const processing = await SelectAudio.executeInTab(resolvedTab, (current) => {
+      return AUDIO_ShowProcessingPanel(current);
+    }, [current]);
+    if (!processing) return false;
+    return await SelectAudio.setProcessing(resolvedTab, processing);
   },
 
   /**
-   * Enumerate audio input/output devices.
+   * Switch the equalizer of the tab to the next preset.
    * @param {tabs.Tab|number|any} tab The tab to execute the function in.
-   * @returns {Promise<{audioinput: {label: string, deviceId: string}[], audiooutput: {label: string, deviceId: string}[], videoinput: {label: string, deviceId: string}[]}>} The result of the function execution or null if failed.
+   * @returns {Promise<boolean>} True if the preset was applied, false otherwise.
    * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
    */
-  enumerateDevices: async function (tab) {
-    return await SelectAudio.executeInTab(tab, () => {
-      return AUDIO_EnumerateDevices();
-    });
+  cycleEqualizerPreset: async function (tab = null) {
+    const resolvedTab = await Helpers.resolveTab(tab);
+    if (!resolvedTab) return false;
+
+    const current = (await TabState.get(resolvedTab.id)).processing || {};
+    const processing = await SelectAudio.executeInTab(resolvedTab, (current) => {
+      return AUDIO_CycleEqualizerPreset(current);
+    }, [current]);
+    if (!processing) return false;
+    return await SelectAudio.setProcessing(resolvedTab, processing);
   },
 
   /**
-   * Select an audio device in the context of a specific tab.
+   * Turn the compressor of the tab on or off.
    * @param {tabs.Tab|number|any} tab The tab to execute the function in.
-   * @param {string} label The label of the audio device to select.
-   * @param {string} id The ID of the audio device to select.
-   * @param {boolean} saveAsManual Whether to save the device selection as manual.
-   * @returns {Promise<[true, string, string]|[false, null, null]>} The result of the function execution or null if failed.
+   * @returns {Promise<boolean>} True if the change was applied, false otherwise.
    * @nothrows If the tab is not found or the script fails to execute, this function will not throw an error.
    */
-  selectDevice: async function (tab = null, label = "", id = "", saveAsManual = true) {
+  toggleCompressor: async function (tab = null) {
     const resolvedTab = await Helpers.resolveTab(tab);
-    if (!resolvedTab) return [false, null, null];
+    if (!resolvedTab) return false;
+
+    const current = (await TabState.get(resolvedTab.id)).processing || {};
+    const processing = await SelectAudio.executeInTab(resolvedTab, (current) => {
+      return AUDIO_ToggleCompressor(current);
+    }, [current]);
+    if (!processing) return false;
+    return await SelectAudio.setProcessing(resolvedTab, processing);
+  },
 
-    // Check if we have stored another id for this tab
-    if (label && id) {
-      const storedId = Helpers.get("deviceId_per_tab_" + resolvedTab.id + label, null);
-      if (storedId) {
-        console.info(`Using stored id "${storedId}" for device "${label}" (${id}) for tab "${resolvedTab.title}"`);
-        id = storedId;
+  /**
+   * Re-apply the device selected by the user after reload or navigation of the tab.
+   * @param {tabs.Tab} tab The tab with a newly loaded page.
+   * @returns {Promise<boolean>} True if the pinned device was applied, false otherwise.
+   * @nothrows
+   *
+   * @note Navigation to another origin follows the policy from options (DATA_CROSS_ORIGIN_POLICY):
+   * "keep" - keep the device, "reset" - use the browser default, "rules" - forget the choice and let URL rules decide.
+   * In mirror mode only the main device is re-applied.
+   * The user isn't asked for permission: if the page can't see the device, it plays on the browser default.
+   */
+  restoreDevice: async function (tab) {
+    const state = await TabState.get(tab.id);
+    if (!state.manualDevice) return false;
+
+    const origin = DeviceRegistry.originOf(tab.url);
+    if (state.pinnedOrigin && origin !== state.pinnedOrigin) {
+      const policy = await Helpers.getStorageValue(DATA_CROSS_ORIGIN_POLICY, "keep");
+      if (policy === "rules") {
+        await TabState.update(tab.id, { manualDevice: false, device: null, mirrors: [], pinnedOrigin: null });
+        console.info(`Tab "${tab.title}" moved to ${origin}, device selection is left to URL rules`);
+        return false;
+      } else if (policy === "reset") {
+        // Stay manual, so rules don't override the browser default
+        await TabState.update(tab.id, { device: null, mirrors: [], pinnedOrigin: origin });
+        console.info(`Tab "${tab.title}" moved to ${origin}, audio device reset to default`);
+        return false;
       }
     }
-    const result = await SelectAudio.executeInTab(resolvedTab, (label, id) => {
-      return AUDIO_SelectDevice(label, id);
-    }, [label, id]);
+    if (!state.device) return false;
 
-    if (result && result[0]) {
-      if (saveAsManual) Helpers.add("manualAudioDevice", resolvedTab.id);
-      // Different tabs can have different id for the same device
-      // So, we want to store id for the tab
-      Helpers.set("deviceId_per_tab_" + resolvedTab.id + result[1], result[2]);
-      console.info(`Audio device "${result[1]}" (${result[2]}) selected for tab "${resolvedTab.title}"`);
-    } else if (label && id) {
-      console.error(`Failed to select audio device "${label}" (${id}) for tab "${resolvedTab.title}"`);
+    const result = await SelectAudio.selectDevice(tab, state.device.label, state.device.deviceId, true, state.device.deviceRef || null, true);
+    if (!result || !result[0]) {
+      console.info(`Audio device "${state.device.label}" can't be restored for tab "${tab.title}" without permission of ${origin}`);
+      return false;
     }
-
-    return result;
+    return true;
   },
 
   /**
-   * Automatically select an audio device for the given tab.
-   * @param {tabs.Tab} tab The tab to execute the function in.
-   * @returns {Promise<boolean>} True if a device was automatically selected, false otherwise.
-   * 
-   * @note Automatic select based on user settings.
+   * Restore volume and audio processing of the tab (after reload page state is lost).
+   * @param {tabs.Tab} tab The tab to restore.
+   * @returns {Promise<void>}
+   * @nothrows
    */
-  autoSelectDevice: async function (tab) {
-    if (!tab?.url) return false;
-    if (Helpers.has("manualAudioDevice", tab.id)) {
-      console.info(`Tab ${tab.id} has manual audio device set. Skipping auto selection.`);
-      return false;
+  restoreProcessing: async function (tab) {
+    const state = await TabState.get(tab.id);
+    if (state.volume !== 1) {
+      await SelectAudio.setVolume(tab, state.volume, false);
     }
-
-    const data = await Helpers.getStorageValue(DATA_PATTERNS, []);
-    if (Array.isArray(data) && data.length > 0) {
-      for (const pattern of data) {
-        if (!pattern.urlPattern || !pattern.audioOutput || pattern.audioOutput === "Default") continue;
-        const urlPattern = Helpers.wildcardToRegExp(pattern.urlPattern);
-        // Check if the tab URL matches the pattern
-        if (urlPattern.test(tab.url)) {
-          // Await the selection and stop after the first match
-          await SelectAudio.selectDevice(tab, pattern.audioOutput, pattern.audioOutputId, false);
-          return true;
-        }
-      }
+    // Processing from rules will be re-applied by auto selection for the new page
+    if (state.processing && state.manualProcessing) {
+      await SelectAudio.setProcessing(tab, state.processing);
     }
-
-    return false;
   }
 };
 
@@ -471,7 +1998,8 @@ class MeetTabsManager {
    */
   isTab(tab) {
     if (!this.urlRegExp) {
-      this.urlRegExp = Helpers.wildcardToRegExp(this.urlPattern);
+      // Meet URL patterns are match patterns, they are used to query tabs too
+      this.urlRegExp = URLPatterns.toRegExp(this.urlPattern, "match");
     }
     return !!(tab && tab.url && this.urlRegExp.test(tab.url));
   }
@@ -819,6 +2347,9 @@ async function injectMeetContentScript(tab) {
 
 function onSettingsChange(changes) {
   const changedItems = Object.keys(changes);
+  if (changedItems.includes(DATA_PATTERNS)) {
+    SelectAudio.scheduleNextBoundary();
+  }
 
   for (const item of changedItems) {
     for (const manager of MeetManagers) {
@@ -842,6 +2373,28 @@ API.commands.onCommand.addListener((command) => {
     MeetJoin();
   } else if (command === "select-audio-device") {
     SelectAudio.selectDevice();
+  } else if (command === "mirror-audio-devices") {
+    SelectAudio.mirrorDevices();
+  } else if (command === "select-audio-device-per-element") {
+    SelectAudio.selectDevicePerElement();
+  } else if (command === "reset-audio-device") {
+    SelectAudio.resetDevice();
+  } else if (command === "audio-processing-settings") {
+    SelectAudio.editProcessing();
+  } else if (command === "explain-audio-routing") {
+    SelectAudio.explainRouting();
+  } else if (command === "cycle-profile") {
+    Profiles.cycle();
+  } else if (command === "apply-rules-to-tabs") {
+    SelectAudio.applyRulesToOpenTabs(true);
+  } else if (command === "cycle-equalizer-preset") {
+    SelectAudio.cycleEqualizerPreset();
+  } else if (command === "toggle-compressor") {
+    SelectAudio.toggleCompressor();
+  } else if (command === "volume-up") {
+    SelectAudio.changeVolume(null, 1);
+  } else if (command === "volume-down") {
+    SelectAudio.changeVolume(null, -1);
   }
 });
 
@@ -851,29 +2404,99 @@ API.tabs.onUpdated.addListener(
   (tabId, changeInfo, tab) => {
     if (!tab?.url || !tab.url.startsWith("http")) return;
 
+    if (changeInfo?.status === "loading") {
+      // A full load routes the tab itself when it completes
+      clearTimeout(SelectAudio._navigationTimers.get(tabId));
+      SelectAudio._navigationTimers.delete(tabId);
+    }
     if (changeInfo?.status === "complete") {
       // Check if it is a meeting tab and inject manager code if it is
       injectMeetContentScript(tab);
-      // Here we also track tabs with autoplay
-      if (tab.audible) {
-        SelectAudio.autoSelectDevice(tab);
-      }
+      // Re-apply the device selected by the user, then volume level and audio processing, then rules
+      // (they skip tabs with manual device), one by one, so they don't inject the helpers concurrently
+      SelectAudio.restoreDevice(tab).then(() => SelectAudio.restoreProcessing(tab)).then(() => {
+        // Here we also track tabs with autoplay
+        if (tab.audible) {
+          SelectAudio.autoSelectDevice(tab);
+        }
+      });
     } else if (changeInfo?.audible) {
       // And here - if tab becomes audible
       SelectAudio.autoSelectDevice(tab);
     }
   }
 );
+// Single-page apps change the URL without a full load (history state or fragment), so another rule may match now
+const onSameDocumentNavigation = (details) => {
+  if (details.frameId === 0) SelectAudio.onUrlChanged(details.tabId);
+};
+API.webNavigation.onHistoryStateUpdated.addListener(onSameDocumentNavigation);
+API.webNavigation.onReferenceFragmentUpdated.addListener(onSameDocumentNavigation);
 API.tabs.onRemoved.addListener(
   (tabId, removeInfo) => {
-    // Remove tab from manual audio device list
-    Helpers.remove("manualAudioDevice", tabId);
+    // Forget manual choices, volume and processing of the tab
+    clearTimeout(SelectAudio._navigationTimers.get(tabId));
+    SelectAudio._navigationTimers.delete(tabId);
+    TabState.remove(tabId);
   }
 );
 
+// Listen for messages from content scripts and the options page
+API.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (typeof message?.type !== "string") return;
+  // Messages which change settings or reveal browsing data are accepted only from the options page
+  const fromOptions = sender.id === API.runtime.id && !!sender.url?.startsWith(API.runtime.getURL("options.html"));
+  if (message.type === "device-registry-register") {
+    // Only the options page registers devices seen by the extension itself
+    if (!fromOptions) return;
+    DeviceRegistry.register(DeviceRegistry.originOf(sender.url), message.devices).then(sendResponse);
+    return true; // Async response
+  }
+  if (message.type === "test-rules") {
+    if (!fromOptions) return;
+    SelectAudio.testRules(message.url, message.tabId, Array.isArray(message.patterns) ? message.patterns : null).then(sendResponse);
+    return true; // Async response
+  }
+  if (message.type === "apply-rules-to-tabs") {
+    if (!fromOptions) return;
+    SelectAudio.applyRulesToOpenTabs(false).then(sendResponse);
+    return true; // Async response
+  }
+  if (["profiles-list", "profile-switch", "profile-create", "profile-delete"].includes(message.type) && !fromOptions) return;
+  if (message.type === "profiles-list") {
+    Profiles.list().then(sendResponse);
+    return true; // Async response
+  } else if (message.type === "profile-switch") {
+    Profiles.switchTo(message.name).then(sendResponse);
+    return true; // Async response
+  } else if (message.type === "profile-create") {
+    Profiles.create(message.name).then(sendResponse);
+    return true; // Async response
+  } else if (message.type === "profile-delete") {
+    Profiles.remove(message.name).then(sendResponse);
+    return true; // Async response
+  }
+  if (message.type === "audio-output-devices" && Array.isArray(message.labels)) {
+    // Reported by web pages and by the offscreen document
+    if (sender.tab || sender.url === API.runtime.getURL("offscreen.html")) SelectAudio.onDevicesReported(message.labels);
+    return;
+  }
+  if (!sender.tab) return;
+  if (message.type === "audio-device-changed") {
+    SelectAudio.onDeviceChanged(sender.tab, message.label, message.deviceId, message.reason);
+  }
+});
+
 // Listen for settings (local storage) changes
 API.storage.local.onChanged.addListener(onSettingsChange);
 
+// Re-evaluate rules with schedules when they start or stop applying
+API.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ALARM_SCHEDULE) {
+    SelectAudio.onScheduleBoundary();
+  }
+});
+
 // On install extension
 API.runtime.onInstalled.addListener((details) => {
   const manifest = chrome.runtime.getManifest();
@@ -899,3 +2522,10 @@ API.runtime.onInstalled.addListener((details) => {
     API.runtime.openOptionsPage();
   }
 });
+
+// Restore runtime state after the service worker was suspended and drop state of closed tabs
+TabState.reconcile();
+// Alarms survive suspending, but not restarting of the browser
+SelectAudio.scheduleNextBoundary();
+// Newly connected devices are noticed even without open web pages
+SelectAudio.watchDevices();
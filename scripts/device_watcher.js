@@ -0,0 +1,40 @@
+// Watching of connected audio output devices outside of web pages, so a newly connected device is noticed
+// even if no tab has the audio helpers injected. Shared by the background (imported as module, Firefox background page)
+// and the offscreen document (Chrome, service workers can't watch media devices), available as global DeviceWatcher.
+globalThis.DeviceWatcher = {
+  /**
+   * Get labels of connected output devices.
+   * @returns {Promise<string[]>} Labels of devices, empty if the extension isn't allowed to see them.
+   * @nothrows
+   */
+  outputLabels: async function () {
+    if (!globalThis.navigator?.mediaDevices?.enumerateDevices) return [];
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.filter((device) => device.kind === "audiooutput" && device.label && device.deviceId !== "default")
+        .map((device) => device.label);
+    } catch (error) {
+      console.warn("Error enumerating devices:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Report connected output devices now and after every change.
+   * @param {function(string[]): void} report Called with labels of connected output devices.
+   * @returns {boolean} True if devices are watched, false if it isn't possible here.
+   *
+   * @note Labels are visible only after the user allowed the microphone for the extension (see the options page),
+   * lists without labels can't be compared with lists reported by tabs, so they aren't reported.
+   */
+  watch: function (report) {
+    if (!globalThis.navigator?.mediaDevices?.addEventListener) return false;
+    const update = async () => {
+      const labels = await DeviceWatcher.outputLabels();
+      if (labels.length > 0) report(labels);
+    };
+    navigator.mediaDevices.addEventListener("devicechange", update);
+    update();
+    return true;
+  },
+};
@@ -0,0 +1,8 @@
+// Offscreen document (Chrome): reports connected audio output devices to the background
+const API = typeof browser !== "undefined" ? browser : chrome;
+
+DeviceWatcher.watch((labels) => {
+  API.runtime.sendMessage({ type: "audio-output-devices", labels }).catch((error) => {
+    console.warn("Error reporting devices:", error);
+  });
+});
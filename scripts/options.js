@@ -2,6 +2,12 @@ const API = (typeof browser !== "undefined") ? browser : chrome; // For compatib
 const IS_CHROME_ENV = typeof chrome !== "undefined" && typeof browser === "undefined";
 const IS_OPERA = typeof opr !== "undefined";
 const DATA_PATTERNS = "patterns";
+const DATA_DEVICE_SETTINGS = "deviceSettings";
+const DATA_FALLBACK_DEVICES = "fallbackDevices";
+const DATA_NEW_DEVICE_ACTIONS = "newDeviceActions";
+const DATA_CROSS_ORIGIN_POLICY = "crossOriginPolicy";
+const DATA_DEFAULT_DEVICE = "defaultDevice";
+const DATA_ACTIVE_PROFILE = "activeProfile";
 
 
 const AudioDevicePatternStatic = {
@@ -11,15 +17,66 @@ const AudioDevicePatternStatic = {
 
     showDefaultOption: () => {
         return !IS_CHROME_ENV;
-    }
+    },
+
+    // Conditions of rules besides the URL
+    sameConditions: (a, b) => {
+        return (a.titleContains || "").toLowerCase() === (b.titleContains || "").toLowerCase()
+            && !!a.inMeeting === !!b.inMeeting
+            && (a.incognito || "any") === (b.incognito || "any")
+            && RuleSchedule.describe(a) === RuleSchedule.describe(b);
+    },
+
+    // Every tab which meets conditions of the inner rule meets conditions of the outer one
+    // Schedules are compared as texts, only a rule without schedule surely covers another schedule
+    coversConditions: (outer, inner) => {
+        const title = (outer.titleContains || "").toLowerCase();
+        return (!title || (inner.titleContains || "").toLowerCase().includes(title))
+            && (!outer.inMeeting || !!inner.inMeeting)
+            && ((outer.incognito || "any") === "any" || outer.incognito === inner.incognito)
+            && (!RuleSchedule.hasSchedule(outer) || RuleSchedule.describe(outer) === RuleSchedule.describe(inner));
+    },
 };
 
+/**
+ * Register devices in the device registry of the background to get their stable IDs.
+ * @param {Object} devices Devices from AUDIO_EnumerateDevices().
+ * @returns {Promise<Object>} The same devices, audio outputs get "stableId" property.
+ */
+async function registerDevices(devices) {
+    const outputs = devices?.audiooutput || [];
+    try {
+        const registered = await API.runtime.sendMessage({
+            type: "device-registry-register",
+            devices: outputs.map((device) => Object.assign({ kind: "audiooutput" }, device)),
+        });
+        if (Array.isArray(registered)) {
+            outputs.forEach((device, index) => {
+                device.stableId = registered[index]?.stableId || null;
+            });
+        }
+    } catch (error) {
+        console.warn("Error registering devices:", error);
+    }
+    return devices;
+}
+
 const AudioDevicePatternSchema = new TableDataSchema({
     urlPattern: {
         label: "URL Pattern",
         type: "input",
         tooltip: "URL pattern for the audio device",
         default: "*://example.com/*",
+        validator: function (value, data) {
+            return URLPatterns.validate(value, data?.syntax) || true;
+        },
+    },
+    syntax: {
+        label: "Syntax",
+        type: "select",
+        tooltip: "Wildcard: * - any characters, ? - one character. Match pattern: <scheme>://<host>/<path> as in extension manifests, e.g. *://*.example.com/*. Regular expression: searched anywhere in the URL",
+        default: URLPatterns.DEFAULT_SYNTAX,
+        options: URLPatterns.SYNTAXES,
     },
     audioOutputId: {
         label: "Audio Output",
@@ -41,10 +98,144 @@ const AudioDevicePatternSchema = new TableDataSchema({
             if (device) {
                 data.audioOutputId = device.deviceId;
                 data.audioOutput = device.label || (AudioDevicePatternStatic.showDefaultOption() ? "Default" : "");
+                data.deviceRef = device.stableId || null;
             } else {
                 data.audioOutputId = value;
             }
         },
+    },
+    alternativeOutputs: {
+        label: "Else use",
+        type: "list",
+        tooltip: "Devices used in this order when the audio output isn't connected",
+        default: [],
+        options: function (data) {
+            return AudioDevicePatternManager.getInstance().devices.audiooutput.filter((device) => device.label).map((device) => {
+                return { value: device.label, label: device.label };
+            });
+        },
+        getter: function (data) {
+            return Array.isArray(data?.alternativeOutputs) ? data.alternativeOutputs.map((device) => device.label) : [];
+        },
+        setter: function (data, value) {
+            const devices = AudioDevicePatternManager.getInstance().devices.audiooutput;
+            data.alternativeOutputs = (Array.isArray(value) ? value : []).map((label) => {
+                const known = (data.alternativeOutputs || []).find((device) => device.label === label);
+                const device = devices.find((device) => device.label === label);
+                return { label: label, deviceRef: device?.stableId || known?.deviceRef || null };
+            });
+        },
+    },
+    exclude: {
+        label: "Exclude",
+        type: "checkbox",
+        tooltip: "Matching tabs are not routed, rules below are not checked",
+        default: false,
+    },
+    titleContains: {
+        label: "Title contains",
+        type: "input",
+        tooltip: "Rule matches only tabs with this text in the title (empty - any title)",
+        default: "",
+    },
+    inMeeting: {
+        label: "In meeting",
+        type: "checkbox",
+        tooltip: "Rule matches only tabs which are in a meeting (see meet support)",
+        default: false,
+    },
+    incognito: {
+        label: "Incognito",
+        type: "select",
+        tooltip: "Rule matches tabs of incognito (private) windows, normal ones or both",
+        default: "any",
+        options: [
+            { value: "any", label: "Any" },
+            { value: "only", label: "Only incognito" },
+            { value: "never", label: "Not incognito" },
+        ],
+    },
+    timeRange: {
+        label: "Hours",
+        type: "input",
+        tooltip: "Rule matches only at these hours, e.g. 19:00-07:00 (empty - any time)",
+        default: "",
+        validator: function (value) {
+            return RuleSchedule.validateTimeRange(value) || true;
+        },
+    },
+    weekdays: {
+        label: "Days",
+        type: "input",
+        tooltip: "Rule matches only on these days, e.g. Mon-Fri or Sat, Sun (empty - every day). Hours past midnight belong to the day they started, e.g. Fri 19:00-07:00 ends on Saturday morning",
+        default: "",
+        validator: function (value) {
+            return RuleSchedule.validateWeekdays(value) || true;
+        },
+    },
+    balance: {
+        label: "Balance",
+        type: "input",
+        tooltip: "Stereo balance from -100 (only left) to 100 (only right)",
+        default: 0,
+        validator: function (value) {
+            if (typeof value === "number") return Math.abs(value) <= 100;
+            return typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)) && Math.abs(Number(value)) <= 100;
+        },
+        setter: function (data, value) {
+            data.balance = Math.round(Number(value));
+        },
+    },
+    swapChannels: {
+        label: "Swap L/R",
+        type: "checkbox",
+        tooltip: "Swap left and right channels",
+        default: false,
+    },
+    mono: {
+        label: "Mono",
+        type: "checkbox",
+        tooltip: "Downmix audio to mono",
+        default: false,
+    },
+    equalizerPreset: {
+        label: "Equalizer",
+        type: "select",
+        tooltip: "Equalizer preset",
+        default: "",
+        options: function (data) {
+            return [{ value: "", label: "Off" }].concat(AUDIO_GetEqualizerPresets());
+        },
+    },
+    equalizerGains: {
+        label: "Custom EQ (dB)",
+        type: "input",
+        tooltip: "Gains for the custom equalizer preset (-12..12 dB), comma separated: 60 Hz, 230 Hz, 910 Hz, 3.6 kHz, 14 kHz",
+        default: [],
+        getter: function (data) {
+            return Array.isArray(data?.equalizerGains) ? data.equalizerGains.join(", ") : "";
+        },
+        validator: function (value) {
+            if (Array.isArray(value)) return true;
+            const parts = String(value).split(",").map((part) => part.trim()).filter((part) => part !== "");
+            return parts.length <= AUDIO_GetEqualizerGains("flat").length && parts.every((part) => !isNaN(Number(part)) && Math.abs(Number(part)) <= 12);
+        },
+        setter: function (data, value) {
+            if (Array.isArray(value)) {
+                data.equalizerGains = value;
+            } else {
+                data.equalizerGains = String(value).split(",").map((part) => part.trim()).filter((part) => part !== "").map(Number);
+            }
+        },
+    },
+    compressorPreset: {
+        label: "Compressor",
+        type: "select",
+        tooltip: "Compressor preset to level loudness",
+        default: "",
+        options: function (data) {
+            return [{ value: "", label: "Off" }].concat(AUDIO_GetCompressorPresets());
+        },
     }
 });
 
@@ -53,28 +244,57 @@ class AudioDevicePatternRow extends TableRow {
         super(pattern, AudioDevicePatternSchema);
         this.devices = devices || {audiooutput: []};
         this.permission = {
-            origins: [this.get("urlPattern")]
+            origins: URLPatterns.toOrigins(this.get("urlPattern"), this.get("syntax"))
         };
         this.autoSave = true;
+        this.bDraggable = true;
         this._requested = false;
     }
 
+    init(tbodyElement) {
+        super.init(tbodyElement);
+        // Show errors of stored patterns too
+        this.revalidate("urlPattern");
+    }
+
+    afterAnyChange() {
+        super.afterAnyChange();
+        AudioDevicePatternManager.getInstance().lint();
+    }
+
+    remove() {
+        super.remove();
+        AudioDevicePatternManager.getInstance().lint();
+    }
+
+    updatePermission() {
+        this.permission.origins = URLPatterns.toOrigins(this.get("urlPattern"), this.get("syntax"));
+        this.checkPermission();
+    }
+
     onChanged(elem, event, key, value) {
-        if (key === "urlPattern") {
-            this.permission.origins = [value];
-            this.checkPermission();
-        } else if (key === "audioOutputId") {
+        if (key === "audioOutputId") {
             const selectedDevice = this.devices.audiooutput.find((device) => device.deviceId === value || device.label === value);
             if (selectedDevice) {
                 this.data.audioOutputId = selectedDevice.deviceId;
                 this.data.audioOutput = selectedDevice.label || (AudioDevicePatternStatic.showDefaultOption() ? "Default" : "");
+                this.data.deviceRef = selectedDevice.stableId || null;
             } else {
                 this.data.audioOutputId = null;
                 this.data.audioOutput = AudioDevicePatternStatic.showDefaultOption() ? "Default" : "";
+                this.data.deviceRef = null;
             }
         }
 
         super.onChanged(elem, event, key, value);
+
+        if (key === "syntax") {
+            // The same pattern may be valid in one syntax and invalid in another
+            this.revalidate("urlPattern");
+        }
+        if (key === "urlPattern" || key === "syntax") {
+            this.updatePermission();
+        }
     }
 
     onFocused(elem, event, key) {
@@ -84,7 +304,7 @@ class AudioDevicePatternRow extends TableRow {
         if (key === "audioOutputId" && !AudioDevicePatternStatic.useSelectList()) {
             navigator.mediaDevices.selectAudioOutput().then((device) => {
                 if (device) {
-                    AUDIO_EnumerateDevices().then((devices) => {
+                    AUDIO_EnumerateDevices().then(registerDevices).then((devices) => {
                         if (devices.audiooutput.length > 0) AudioDevicePatternManager.getInstance().devices = devices;
                         self.onChanged(elem, event, key, device.deviceId);
                         self._requested = false;
@@ -110,10 +330,12 @@ class AudioDevicePatternManager extends TableHelper {
 
     updateDevices() {
         const self = this;
-        AUDIO_EnumerateDevices().then((devices) => {
+        AUDIO_EnumerateDevices().then(registerDevices).then((devices) => {
             if (devices.audiooutput.length > 0) {
                 self.devices = devices;
+                self.resolveDeviceRefs();
                 self.updateOptions();
+                self.lint();
             }
         }).catch((error) => {
             console.error("Error updating devices:", error);
@@ -125,18 +347,86 @@ class AudioDevicePatternManager extends TableHelper {
         this.autoSave = true;
         this.genStateCell = true;
         this.genActionsCell = true;
+        // Rules are checked in order, the first matching one wins
+        this.reorderable = true;
     }
 
     makeRow(data, schema) {
         return new AudioDevicePatternRow(data, this.devices);
     }
 
+    onReordered() {
+        super.onReordered();
+        this.lint();
+    }
+
+    // Mark rules which can never win (duplicates, shadowed by an earlier rule) and rules with a device which is not connected
+    lint() {
+        const rows = this.rows.filter((row) => !row._remove);
+        const devices = this.devices.audiooutput.filter((device) => device.label);
+        rows.forEach((row, index) => {
+            const data = row.getData();
+            const warnings = [];
+            for (let i = 0; i < index; i++) {
+                const earlier = rows[i].getData();
+                // Rules without device and processing are skipped by the background, they hide nothing
+                if (!RuleRouting.isActive(earlier)) continue;
+                const sameURL = (earlier.syntax || URLPatterns.DEFAULT_SYNTAX) === (data.syntax || URLPatterns.DEFAULT_SYNTAX)
+                    && earlier.urlPattern === data.urlPattern;
+                if (sameURL && AudioDevicePatternStatic.sameConditions(earlier, data)) {
+                    warnings.push(`Duplicate of rule #${i + 1}`);
+                    break;
+                }
+                if (AudioDevicePatternStatic.coversConditions(earlier, data)
+                    && URLPatterns.covers(earlier.urlPattern, earlier.syntax, data.urlPattern, data.syntax)) {
+                    warnings.push(`Never wins: rule #${i + 1} matches all its tabs first`);
+                    break;
+                }
+            }
+            // Without permission devices have no labels, so they can't be checked
+            if (RuleRouting.hasDevice(data) && devices.length > 0) {
+                const candidates = [{ label: data.audioOutput, deviceRef: data.deviceRef }].concat(data.alternativeOutputs || []);
+                const present = candidates.some((candidate) => devices.some((device) => {
+                    return (candidate.deviceRef && device.stableId === candidate.deviceRef) || device.label === candidate.label;
+                }));
+                if (!present) {
+                    warnings.push(candidates.length > 1 ? "None of the devices is connected" : `Device "${data.audioOutput}" is not connected`);
+                }
+            }
+            row.setWarnings(warnings);
+        });
+    }
+
+    // Device ids of the options page may change, so rows are matched to devices by stable ID (deviceRef).
+    // Rows saved before the registry get their deviceRef by label.
+    resolveDeviceRefs() {
+        const self = this;
+        this.rows.forEach((row) => {
+            const data = row.data;
+            row.devices = self.devices;
+            (data.alternativeOutputs || []).forEach((candidate) => {
+                const device = self.devices.audiooutput.find((device) => candidate.deviceRef && device.stableId === candidate.deviceRef)
+                    || self.devices.audiooutput.find((device) => !candidate.deviceRef && device.label === candidate.label);
+                if (!device) return;
+                candidate.label = device.label;
+                candidate.deviceRef = device.stableId || candidate.deviceRef || null;
+            });
+            const device = self.devices.audiooutput.find((device) => data.deviceRef && device.stableId === data.deviceRef)
+                || self.devices.audiooutput.find((device) => !data.deviceRef && data.audioOutput && device.label === data.audioOutput);
+            if (!device) return;
+            data.audioOutputId = device.deviceId;
+            data.audioOutput = device.label;
+            data.deviceRef = device.stableId || data.deviceRef || null;
+        });
+    }
+
     addNewPattern() {
         const newPattern = this.makeRow({});
         newPattern.reset();
         newPattern.init(this.tbodyElement);
         this.rows.push(newPattern);
         this.updateState();
+        this.lint();
     }
 
     loadAll() {
@@ -146,6 +436,8 @@ class AudioDevicePatternManager extends TableHelper {
                 API.storage.local.get(DATA_PATTERNS).then((data) => {
                     data = data.patterns || [];
                     self.setData(data, false);
+                    self.resolveDeviceRefs();
+                    self.lint();
                     self.updateState();
                     resolve();
                 }).catch((error) => {
@@ -154,7 +446,7 @@ class AudioDevicePatternManager extends TableHelper {
                     resolve();
                 });
             };
-            AUDIO_EnumerateDevices().then((devices) => {
+            AUDIO_EnumerateDevices().then(registerDevices).then((devices) => {
                 self.devices = devices;
                 cb();
             }).catch((error) => {
@@ -172,6 +464,7 @@ class AudioDevicePatternManager extends TableHelper {
             setData[DATA_PATTERNS] = self.getData();
             await API.storage.local.set(setData).then(() => {
                 self._isDirty = false;
+                self._orderChanged = false;
                 self.rows = self.rows.filter((row) => !row._remove);
                 self.rows.forEach((row) => {
                     row._isDirty = false;
@@ -190,6 +483,540 @@ class AudioDevicePatternManager extends TableHelper {
     }
 }
 
+const DeviceSettingsSchema = new TableDataSchema({
+    label: {
+        label: "Device",
+        type: "label",
+        tooltip: "Audio output device",
+    },
+    latency: {
+        label: "Latency (ms)",
+        type: "input",
+        tooltip: "How late the device plays the sound (0-1000 ms), faster devices mirroring the same tab are held back by the difference",
+        default: 0,
+        validator: function (value) {
+            const latency = Number(value);
+            return Number.isInteger(latency) && latency >= 0 && latency <= 1000;
+        },
+        setter: function (data, value) {
+            data.latency = Number(value);
+        },
+    },
+});
+
+class DeviceSettingsRow extends TableRow {
+    constructor(data) {
+        super(data, DeviceSettingsSchema);
+        this.autoSave = true;
+        this.bGenStateCell = true;
+        this.bGenActionsCell = true;
+    }
+
+    genActions(actionsCell) {
+        const self = this;
+        const testButton = document.createElement("button");
+        testButton.type = "button";
+        testButton.className = "btn small";
+        testButton.textContent = "🔊";
+        testButton.title = "Measure the latency with a click and flash test";
+        testButton.addEventListener("click", (event) => {
+            DelayCalibration.getInstance().start(self);
+            event.preventDefault();
+        });
+        actionsCell.appendChild(testButton);
+    }
+
+    // Settings are kept by the stable ID of the device (deviceRef), settings saved before the registry by label are moved
+    save_implementation() {
+        const self = this;
+        return API.storage.local.get(DATA_DEVICE_SETTINGS).then((data) => {
+            const settings = data[DATA_DEVICE_SETTINGS] || {};
+            const key = self.data.deviceRef || self.data.label;
+            settings[key] = Object.assign(settings[key] || {}, { latency: self.data.latency || 0 });
+            delete settings[key].delay;
+            if (key !== self.data.label) delete settings[self.data.label];
+            return API.storage.local.set({ [DATA_DEVICE_SETTINGS]: settings });
+        }).then(() => {
+            return true;
+        }).catch((error) => {
+            console.error("Error saving device settings:", error);
+            return false;
+        });
+    }
+}
+
+class DeviceSettingsManager extends TableHelper {
+    static getInstance() {
+        if (!DeviceSettingsManager.instance) {
+            DeviceSettingsManager.instance = new DeviceSettingsManager();
+        }
+        return DeviceSettingsManager.instance;
+    }
+
+    constructor(tableElement) {
+        super(DeviceSettingsSchema, tableElement);
+        this.autoSave = true;
+        this.genStateCell = true;
+        this.genActionsCell = true;
+    }
+
+    makeRow(data, schema) {
+        return new DeviceSettingsRow(data);
+    }
+
+    // Rows for currently available devices, settings of other devices are kept in storage
+    loadAll() {
+        const self = this;
+        return Promise.all([
+            AUDIO_EnumerateDevices().then(registerDevices).catch((error) => {
+                console.error("Error loading devices:", error);
+                return {audiooutput: []};
+            }),
+            API.storage.local.get(DATA_DEVICE_SETTINGS).catch((error) => {
+                console.warn("Error loading device settings:", error);
+                return {};
+            }),
+        ]).then(([devices, data]) => {
+            updateFallbackDeviceSelect(devices);
+            const settings = data[DATA_DEVICE_SETTINGS] || {};
+            const outputs = (devices?.audiooutput || []).filter((device) => device.label);
+            self.setData(outputs.map((device) => {
+                const value = (device.stableId && settings[device.stableId]) || settings[device.label];
+                return {
+                    label: device.label,
+                    deviceId: device.deviceId,
+                    deviceRef: device.stableId || null,
+                    latency: value?.latency ?? value?.delay ?? 0,
+                };
+            }), false);
+            self.init(null, true);
+            self.updateState();
+        });
+    }
+}
+
+const FallbackDeviceSchema = new TableDataSchema({
+    label: {
+        label: "Device",
+        type: "label",
+        tooltip: "Audio output device to use when the selected device is disconnected",
+    },
+});
+
+class FallbackDeviceRow extends TableRow {
+    constructor(data) {
+        super(data, FallbackDeviceSchema);
+        this.bGenStateCell = false;
+        this.bGenActionsCell = true;
+    }
+
+    genActions(actionsCell) {
+        const self = this;
+        const actions = [
+            { text: "⬆️", title: "Move up", className: "btn small", cb: () => FallbackDevicesManager.getInstance().move(self, -1) },
+            { text: "⬇️", title: "Move down", className: "btn small", cb: () => FallbackDevicesManager.getInstance().move(self, 1) },
+            { text: "🗑️", title: "Remove", className: "btn remove small", cb: () => FallbackDevicesManager.getInstance().removeDevice(self) },
+        ];
+        actions.forEach((action) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = action.className;
+            button.textContent = action.text;
+            button.title = action.title;
+            button.addEventListener("click", (event) => {
+                action.cb();
+                event.preventDefault();
+            });
+            actionsCell.appendChild(button);
+        });
+    }
+}
+
+/**
+ * Priority list of devices used when the device of a tab is disconnected.
+ * The list is saved after every change.
+ */
+class FallbackDevicesManager extends TableHelper {
+    static getInstance() {
+        if (!FallbackDevicesManager.instance) {
+            FallbackDevicesManager.instance = new FallbackDevicesManager();
+        }
+        return FallbackDevicesManager.instance;
+    }
+
+    constructor(tableElement) {
+        super(FallbackDeviceSchema, tableElement);
+        this.genStateCell = false;
+        this.genActionsCell = true;
+    }
+
+    makeRow(data, schema) {
+        return new FallbackDeviceRow(data);
+    }
+
+    addDevice(label, deviceRef = null) {
+        if (!label || this.rows.some((row) => (deviceRef && row.data.deviceRef === deviceRef) || row.data.label === label)) return false;
+        const row = this.makeRow({ label, deviceRef });
+        row.init(this.tbodyElement);
+        this.rows.push(row);
+        this.saveAll();
+        return true;
+    }
+
+    removeDevice(row) {
+        row.removeHTML();
+        this.rows = this.rows.filter((item) => item !== row);
+        this.saveAll();
+    }
+
+    move(row, direction) {
+        const index = this.rows.indexOf(row);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.rows.length) return;
+        this.rows.splice(index, 1);
+        this.rows.splice(target, 0, row);
+        this.rows.forEach((item) => this.tbodyElement.appendChild(item.rowElement));
+        this.saveAll();
+    }
+
+    loadAll() {
+        const self = this;
+        return API.storage.local.get(DATA_FALLBACK_DEVICES).then((data) => {
+            // Devices are kept by stable ID (deviceRef), lists saved before the registry have only labels
+            const devices = Array.isArray(data[DATA_FALLBACK_DEVICES]) ? data[DATA_FALLBACK_DEVICES] : [];
+            self.setData(devices.map((device) => {
+                return typeof device === "string" ? { label: device, deviceRef: null } : { label: device?.label, deviceRef: device?.deviceRef || null };
+            }).filter((device) => device.label), true);
+        }).catch((error) => {
+            console.warn("Error loading fallback devices:", error);
+        });
+    }
+
+    saveAll() {
+        const devices = this.getData().map((data) => ({ label: data.label, deviceRef: data.deviceRef || null }));
+        return API.storage.local.set({ [DATA_FALLBACK_DEVICES]: devices }).catch((error) => {
+            console.error("Error saving fallback devices:", error);
+        });
+    }
+}
+
+const NewDeviceActionSchema = new TableDataSchema({
+    label: {
+        label: "Device",
+        type: "label",
+        tooltip: "Audio output device",
+    },
+    action: {
+        label: "When connected",
+        type: "select",
+        tooltip: "Tabs moved to the device when it is connected",
+        default: "audible",
+        options: [
+            { value: "meeting", label: "Move meeting tab" },
+            { value: "audible", label: "Move playing tabs" },
+        ],
+    },
+});
+
+class NewDeviceActionRow extends TableRow {
+    constructor(data) {
+        super(data, NewDeviceActionSchema);
+        this.autoSave = true;
+        this.bGenStateCell = false;
+        this.bGenActionsCell = true;
+    }
+
+    remove() {
+        super.remove();
+        NewDeviceActionsManager.getInstance().saveAll();
+    }
+
+    save_implementation() {
+        return NewDeviceActionsManager.getInstance().saveAll().then(() => true);
+    }
+}
+
+/**
+ * Remembered "always do this" choices for newly connected devices.
+ */
+class NewDeviceActionsManager extends TableHelper {
+    static getInstance() {
+        if (!NewDeviceActionsManager.instance) {
+            NewDeviceActionsManager.instance = new NewDeviceActionsManager();
+        }
+        return NewDeviceActionsManager.instance;
+    }
+
+    constructor(tableElement) {
+        super(NewDeviceActionSchema, tableElement);
+        this.genStateCell = false;
+        this.genActionsCell = true;
+    }
+
+    makeRow(data, schema) {
+        return new NewDeviceActionRow(data);
+    }
+
+    loadAll() {
+        const self = this;
+        return API.storage.local.get(DATA_NEW_DEVICE_ACTIONS).then((data) => {
+            // Actions are kept by stable ID of the device (deviceRef), actions saved before the registry by label
+            let actions = data[DATA_NEW_DEVICE_ACTIONS] || [];
+            if (!Array.isArray(actions)) {
+                actions = Object.keys(actions).map((label) => ({ label, deviceRef: null, action: actions[label] }));
+            }
+            self.setData(actions.filter((data) => data?.label), true);
+        }).catch((error) => {
+            console.warn("Error loading new device actions:", error);
+        });
+    }
+
+    saveAll() {
+        const actions = this.getData().map((data) => ({ label: data.label, deviceRef: data.deviceRef || null, action: data.action }));
+        return API.storage.local.set({ [DATA_NEW_DEVICE_ACTIONS]: actions }).catch((error) => {
+            console.error("Error saving new device actions:", error);
+        });
+    }
+}
+
+/**
+ * Fill the list of devices which can be added to the fallback list.
+ * @param {Object} devices Devices from AUDIO_EnumerateDevices().
+ */
+function updateFallbackDeviceSelect(devices) {
+    elementsDo("#fallback-device-select", (select) => {
+        removeAllChildren(select);
+        (devices?.audiooutput || []).forEach((device) => {
+            if (!device.label) return;
+            const option = document.createElement("option");
+            option.value = device.label;
+            option.textContent = device.label;
+            option.dataset.deviceRef = device.stableId || "";
+            select.appendChild(option);
+        });
+    });
+}
+
+/**
+ * Test to measure the latency of the device: a click is played on the device right away
+ * while the flash is shown later by the configured latency, the user changes the latency until both happen at the same time.
+ */
+class DelayCalibration {
+    static getInstance() {
+        if (!DelayCalibration.instance) {
+            DelayCalibration.instance = new DelayCalibration();
+        }
+        return DelayCalibration.instance;
+    }
+
+    constructor() {
+        this.row = null;
+        this.context = null;
+        this.output = null;
+        this.player = null;
+        this.timer = null;
+    }
+
+    async start(row) {
+        this.stop();
+        this.row = row;
+        this.context = new AudioContext();
+        this.output = this.context.createMediaStreamDestination();
+        this.player = new Audio();
+        this.player.srcObject = this.output.stream;
+        try {
+            if (row.data.deviceId && typeof this.player.setSinkId === "function") {
+                await this.player.setSinkId(row.data.deviceId);
+            }
+            await this.player.play();
+        } catch (error) {
+            console.error("Error starting delay calibration:", error);
+            this.stop();
+            return false;
+        }
+
+        elementsDo("#delay-calibration-device", (elem) => {
+            elem.textContent = row.data.label;
+        });
+        setVisibility("#delay-calibration", true);
+        this.timer = setInterval(() => this.tick(), 1000);
+        return true;
+    }
+
+    tick() {
+        if (!this.context) return;
+        const startTime = this.context.currentTime + 0.1;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.frequency.value = 1000;
+        gain.gain.setValueAtTime(1, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.05);
+        oscillator.connect(gain);
+        gain.connect(this.output);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + 0.05);
+
+        // The device plays the click late, so the flash waits for it
+        // (the value is taken from the row, so changes are seen immediately)
+        const latency = Number(this.row.data.latency) || 0;
+        setTimeout(() => {
+            elementsDo("#delay-calibration-flash", (elem) => {
+                elem.classList.add("flash");
+                setTimeout(() => elem.classList.remove("flash"), 80);
+            });
+        }, 100 + latency);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        if (this.player) {
+            this.player.pause();
+            this.player.srcObject = null;
+            this.player = null;
+        }
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+        this.output = null;
+        this.row = null;
+        setVisibility("#delay-calibration", false);
+    }
+}
+
+// Shows how rules route a URL or an open tab, matching is done by the background with the same code as real routing
+class RuleTester {
+    static getInstance() {
+        if (!RuleTester.instance) {
+            RuleTester.instance = new RuleTester();
+        }
+        return RuleTester.instance;
+    }
+
+    constructor() {
+        this.tabs = [];
+    }
+
+    async updateTabs() {
+        const select = resolveElement("#rule-tester-tab");
+        if (!select) return;
+        try {
+            this.tabs = (await API.tabs.query({})).filter((tab) => /^(https?|file):/.test(tab.url || ""));
+        } catch (error) {
+            console.warn("Error querying tabs:", error);
+            this.tabs = [];
+        }
+        const selected = select.value;
+        removeAllChildren(select);
+        const empty = document.createElement("option");
+        empty.value = "";
+        empty.textContent = "Pick an open tab...";
+        select.appendChild(empty);
+        this.tabs.forEach((tab) => {
+            const option = document.createElement("option");
+            option.value = String(tab.id);
+            option.textContent = tab.title ? `${tab.title} (${tab.url})` : tab.url;
+            select.appendChild(option);
+        });
+        select.value = this.tabs.some((tab) => String(tab.id) === selected) ? selected : "";
+    }
+
+    async run() {
+        const urlInput = resolveElement("#rule-tester-url");
+        const tabSelect = resolveElement("#rule-tester-tab");
+        const tabId = tabSelect?.value ? Number(tabSelect.value) : null;
+        const url = (urlInput?.value || "").trim();
+        if (!url && tabId === null) {
+            this.render(null, "Enter a URL or pick an open tab");
+            return;
+        }
+        try {
+            // Rules from the table, so not saved changes can be checked before saving
+            const result = await API.runtime.sendMessage({
+                type: "test-rules",
+                url: url,
+                tabId: tabId,
+                patterns: AudioDevicePatternManager.getInstance().getData(),
+            });
+            this.render(result, result ? null : "No response from the background");
+        } catch (error) {
+            console.error("Error testing rules:", error);
+            this.render(null, String(error));
+        }
+    }
+
+    render(result, error = null) {
+        const summary = resolveElement("#rule-tester-result");
+        const tbody = resolveElement("#rule-tester-table tbody");
+        removeAllChildren(tbody);
+        if (!summary) return;
+        if (!result) {
+            summary.textContent = error || "";
+            return;
+        }
+
+        const lines = [];
+        if (result.index < 0) {
+            lines.push(result.device ? `No rule matches → ${result.device} (default device of the profile).` : "No rule matches, the device isn't changed.");
+        } else if (result.exclude) {
+            lines.push(`Rule #${result.index + 1} wins and excludes the tab from routing.`);
+        } else {
+            const processing = result.processing ? " with audio processing" : "";
+            lines.push(`Rule #${result.index + 1} wins → ${result.device || "device isn't changed"}${processing}.`);
+            if (result.candidates?.length > 1) {
+                lines.push(`The first connected device of: ${result.candidates.join(", ")}.`);
+            }
+        }
+        if (result.manualDevice) {
+            lines.push(`The device was selected manually in this tab (${result.manualDevice}), rules don't override it.`);
+        }
+        if (/^https?:/.test(result.url)) {
+            lines.push(result.permission ? "Host permission is granted." : "Host permission is not granted, the device can't be selected in this site.");
+        }
+        summary.textContent = lines.join(" ");
+
+        (result.trace || []).forEach((entry) => {
+            const row = document.createElement("tr");
+            if (entry.index === result.index) row.className = "winner";
+            else if (!entry.matched) row.className = "not-matched";
+            [String(entry.index + 1), entry.urlPattern, entry.reason].forEach((text, index) => {
+                const cell = document.createElement("td");
+                cell.className = ["field-index", "field-url", "field-reason"][index];
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody?.appendChild(row);
+        });
+    }
+
+    init() {
+        const self = this;
+        btnBind("#rule-tester-run", (event) => {
+            self.run();
+            return true;
+        });
+        elementsDo("#rule-tester-url", (input) => {
+            input.addEventListener("keydown", (event) => {
+                if (event.key === "Enter") self.run();
+            });
+            // URL and tab are alternatives, the last edited one is used
+            input.addEventListener("input", () => {
+                elementsDo("#rule-tester-tab", (select) => { select.value = ""; });
+            });
+        });
+        elementsDo("#rule-tester-tab", (select) => {
+            select.addEventListener("change", () => {
+                elementsDo("#rule-tester-url", (input) => { input.value = ""; });
+                if (select.value) self.run();
+            });
+        });
+        // Tabs may be opened or navigated while the options page is in background
+        window.addEventListener("focus", () => self.updateTabs());
+        this.updateTabs();
+    }
+}
+
 const MeetSupportSchema = new TableDataSchema({
     enabled: {
         label: "Enabled",
@@ -285,6 +1112,168 @@ class MeetSupportManager extends TableHelper {
     }
 }
 
+/**
+ * Bind the select of the policy for manually selected devices on navigation to another site.
+ * @returns {Promise<void>}
+ */
+async function InitCrossOriginPolicy() {
+    const select = resolveElement("#cross-origin-policy");
+    if (!select) return;
+    try {
+        const data = await API.storage.local.get(DATA_CROSS_ORIGIN_POLICY);
+        select.value = data[DATA_CROSS_ORIGIN_POLICY] || "keep";
+    } catch (error) {
+        console.warn("Error loading cross-origin policy:", error);
+    }
+    select.addEventListener("change", () => {
+        API.storage.local.set({ [DATA_CROSS_ORIGIN_POLICY]: select.value }).catch((error) => {
+            console.error("Error saving cross-origin policy:", error);
+        });
+    });
+}
+
+/**
+ * Bind the profile selector and buttons to create and delete profiles.
+ * Profiles are switched by the background, it moves settings of profiles and re-applies rules to open tabs.
+ * @returns {Promise<void>}
+ */
+async function InitProfiles() {
+    const select = resolveElement("#profile-select");
+    if (!select) return;
+    const fill = async () => {
+        try {
+            const profiles = await API.runtime.sendMessage({ type: "profiles-list" });
+            removeAllChildren(select);
+            (profiles?.names || []).forEach((name) => {
+                const option = document.createElement("option");
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = profiles?.active || "";
+        } catch (error) {
+            console.warn("Error loading profiles:", error);
+        }
+    };
+    await fill();
+
+    select.addEventListener("change", async () => {
+        select.disabled = true;
+        const ok = await API.runtime.sendMessage({ type: "profile-switch", name: select.value }).catch((error) => {
+            console.error("Error switching profile:", error);
+            return false;
+        });
+        if (!ok) {
+            select.disabled = false;
+            await fill();
+        }
+    });
+    btnBind("#profile-add", async () => {
+        const input = resolveElement("#profile-name");
+        const name = (input?.value || "").trim();
+        if (!name) return;
+        const ok = await API.runtime.sendMessage({ type: "profile-create", name: name }).catch((error) => {
+            console.error("Error creating profile:", error);
+            return false;
+        });
+        if (ok) {
+            input.value = "";
+            await fill();
+        } else {
+            console.warn(`Profile "${name}" was not created, the name may be taken`);
+        }
+    });
+    btnBind("#profile-delete", async () => {
+        const name = select.value;
+        if (!name || !window.confirm(`Delete profile "${name}"?`)) return;
+        await API.runtime.sendMessage({ type: "profile-delete", name: name }).catch((error) => {
+            console.error("Error deleting profile:", error);
+        });
+        await fill();
+    });
+
+    // All tables show settings of the active profile, so the page is reloaded when it changes (also by the shortcut)
+    API.storage.local.onChanged.addListener((changes) => {
+        if (changes[DATA_ACTIVE_PROFILE]) {
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * Apply the saved rules to all open tabs and show how many tabs were changed.
+ * @returns {Promise<void>}
+ * @nothrows
+ */
+async function ApplyRulesToOpenTabs() {
+    const button = resolveElement("#apply-rules");
+    const result = resolveElement("#apply-rules-result");
+    if (button) button.disabled = true;
+    if (result) result.textContent = "Applying...";
+    const report = await API.runtime.sendMessage({ type: "apply-rules-to-tabs" }).catch((error) => {
+        console.error("Error applying rules to open tabs:", error);
+        return null;
+    });
+    if (button) button.disabled = false;
+    if (!result) return;
+    if (!report) {
+        result.textContent = "Failed to apply rules, see the console for details";
+        return;
+    }
+    result.textContent = `Tabs: ${report.changed} changed, ${report.unchanged} unchanged, ${report.skipped} skipped, ${report.failed} failed`;
+    if (AudioDevicePatternManager.getInstance().isDirty()) {
+        result.textContent += " (unsaved changes are not applied)";
+    }
+}
+
+/**
+ * Bind the select of the default device of the profile (used for tabs which no rule matches).
+ * @returns {Promise<void>}
+ */
+async function InitDefaultDevice() {
+    const select = resolveElement("#default-device");
+    if (!select) return;
+    let current = null;
+    try {
+        const data = await API.storage.local.get(DATA_DEFAULT_DEVICE);
+        current = data[DATA_DEFAULT_DEVICE] || null;
+    } catch (error) {
+        console.warn("Error loading default device:", error);
+    }
+
+    const devices = AudioDevicePatternManager.getInstance().devices.audiooutput.filter((device) => device.label);
+    removeAllChildren(select);
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "Don't change (browser default)";
+    select.appendChild(none);
+    devices.forEach((device) => {
+        const option = document.createElement("option");
+        option.value = device.label;
+        option.textContent = device.label;
+        select.appendChild(option);
+    });
+    if (current?.label && !devices.some((device) => device.label === current.label)) {
+        // Keep the device which is not connected now
+        const option = document.createElement("option");
+        option.value = current.label;
+        option.textContent = `${current.label} (not connected)`;
+        select.appendChild(option);
+    }
+    select.value = current?.label || "";
+
+    select.addEventListener("change", () => {
+        const device = devices.find((device) => device.label === select.value);
+        let value = null;
+        if (select.value) {
+            value = { label: select.value, deviceRef: device?.stableId || (current?.label === select.value ? current.deviceRef : null) || null };
+        }
+        API.storage.local.set({ [DATA_DEFAULT_DEVICE]: value }).catch((error) => {
+            console.error("Error saving default device:", error);
+        });
+    });
+}
+
 async function ShowAllShortcuts() {
     // shorcuts - array of Command objects: {name, description, shortcut}
     const shortcuts = await API.commands.getAll();
@@ -370,9 +1359,14 @@ async function updateUI() {
     elementsDo(".hide-on-chrome" , (elem) => { if ( IS_CHROME_ENV) setVisibility(elem, false) });
     elementsDo(".hide-on-firefox", (elem) => { if (!IS_CHROME_ENV) setVisibility(elem, false) });
 
+    InitProfiles();
     await AudioDevicePatternManager.getInstance().loadAll();
+    InitDefaultDevice();
     if (isOK(btnBind("#save-patterns", (event) => {
-        AudioDevicePatternManager.getInstance().saveAll();
+        // Open tabs are routed by the saved rules at once, not only when they reload or start playing
+        AudioDevicePatternManager.getInstance().saveAll().then((saved) => {
+            if (saved) ApplyRulesToOpenTabs();
+        });
         event.preventDefault();
     }))) {
         AudioDevicePatternManager.getInstance().autoSave = false;
@@ -394,6 +1388,7 @@ async function updateUI() {
     btnBind("#add-pattern", () => {
         AudioDevicePatternManager.getInstance().addNewPattern();
     });
+    btnBind("#apply-rules", ApplyRulesToOpenTabs);
     btnBind("#permisions-patterns", () => {
         AudioDevicePatternManager.getInstance().requestPermission();
     });
@@ -408,6 +1403,9 @@ async function updateUI() {
         await AudioDevicePatternManager.getInstance().init(tableElement, true);
     }
 
+    InitCrossOriginPolicy();
+    RuleTester.getInstance().init();
+
     if (!IS_CHROME_ENV && !navigator.mediaDevices.selectAudioOutput) {
         setVisibility("#audio-select-warn-firefox", true);
     }
@@ -427,6 +1425,30 @@ async function updateUI() {
         });
     }
 
+    const deviceSettingsTable = document.querySelector("#device-settings-table");
+    if (deviceSettingsTable) {
+        DeviceSettingsManager.getInstance().init(deviceSettingsTable, true);
+        await DeviceSettingsManager.getInstance().loadAll();
+    }
+    btnBind("#delay-calibration-stop", () => {
+        DelayCalibration.getInstance().stop();
+    });
+    const fallbackDevicesTable = document.querySelector("#fallback-devices-table");
+    if (fallbackDevicesTable) {
+        FallbackDevicesManager.getInstance().init(fallbackDevicesTable, true);
+        await FallbackDevicesManager.getInstance().loadAll();
+    }
+    const newDeviceActionsTable = document.querySelector("#new-device-actions-table");
+    if (newDeviceActionsTable) {
+        NewDeviceActionsManager.getInstance().init(newDeviceActionsTable, true);
+        await NewDeviceActionsManager.getInstance().loadAll();
+    }
+    btnBind("#add-fallback-device", () => {
+        elementsDo("#fallback-device-select", (select) => {
+            FallbackDevicesManager.getInstance().addDevice(select.value, select.selectedOptions[0]?.dataset.deviceRef || null);
+        });
+    });
+
     ShowAllShortcuts();
     btnBind("#keyboard-shortcut-reset", ResetAllShortcuts);
     btnBind("#keyboard-shortcut-settings", OpenShortcutsPage);
@@ -450,5 +1472,6 @@ if (navigator?.mediaDevices)
     navigator.mediaDevices.ondevicechange = (event) => {
         // Update devices list
         AudioDevicePatternManager.getInstance().updateDevices();
+        DeviceSettingsManager.getInstance().loadAll();
     };
 }
@@ -0,0 +1,42 @@
+// What a routing rule does to tabs: the device and audio processing. Shared by the background (imported as module)
+// and the options page (classic script) the same way as URLPatterns, so both agree which rules change anything.
+globalThis.RuleRouting = {
+  /**
+   * Check if the rule routes tabs to some device (not the browser default).
+   * @param {Object} pattern The rule from storage.
+   * @returns {boolean}
+   */
+  hasDevice: function (pattern) {
+    return !!pattern.audioOutput && pattern.audioOutput !== "Default";
+  },
+
+  /**
+   * Get audio processing settings defined by the rule.
+   * @param {Object} pattern The rule from storage.
+   * @returns {Object|null} Processing settings or null if the rule doesn't change the sound.
+   */
+  processing: function (pattern) {
+    const processing = {
+      balance: Math.max(-100, Math.min(100, Number(pattern.balance) || 0)),
+      swapChannels: !!pattern.swapChannels,
+      mono: !!pattern.mono,
+      equalizerPreset: pattern.equalizerPreset || "",
+      equalizerGains: Array.isArray(pattern.equalizerGains) ? pattern.equalizerGains : [],
+      compressorPreset: pattern.compressorPreset || "",
+    };
+    const hasEqualizer = !!processing.equalizerPreset && processing.equalizerPreset !== "flat";
+    if (processing.balance === 0 && !processing.swapChannels && !processing.mono && !hasEqualizer
+      && !processing.compressorPreset) return null;
+    return processing;
+  },
+
+  /**
+   * Check if the rule takes part in matching: rules without device and processing don't change anything,
+   * so they are skipped (exclude rules are always active).
+   * @param {Object} pattern The rule from storage.
+   * @returns {boolean}
+   */
+  isActive: function (pattern) {
+    return !!pattern.exclude || RuleRouting.hasDevice(pattern) || !!RuleRouting.processing(pattern);
+  },
+};
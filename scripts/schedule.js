@@ -0,0 +1,165 @@
+// Schedules of the routing rules (hours and weekdays). Shared by the background and the options page the same way as URLPatterns.
+globalThis.RuleSchedule = {
+  DAYS: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  MINUTES_PER_DAY: 24 * 60,
+
+  /**
+   * Parse hours of a rule like "19:00-07:00", the range may cross midnight.
+   * @param {string} text The time range, empty - any time.
+   * @returns {{start: number, end: number}|null} Start (inclusive) and end (exclusive) in minutes from midnight or null for any time.
+   * @throws {Error} If the text is invalid, the message describes the problem.
+   */
+  parseTimeRange: function (text) {
+    const value = (text || "").trim();
+    if (!value) return null;
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match) throw new Error("Hours must look like 19:00-07:00");
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+    if (Number(match[2]) > 59 || Number(match[4]) > 59 || start >= RuleSchedule.MINUTES_PER_DAY || end > RuleSchedule.MINUTES_PER_DAY) {
+      throw new Error("Time must be from 00:00 to 24:00");
+    }
+    if (start === end) throw new Error("Start and end of hours must differ");
+    return { start, end };
+  },
+
+  /**
+   * Parse weekdays of a rule like "Mon-Fri" or "Sat, Sun".
+   * @param {string} text Days or ranges of days separated by commas, empty - every day.
+   * @returns {number[]|null} Days (0 - Sunday) or null for every day.
+   * @throws {Error} If the text is invalid, the message describes the problem.
+   */
+  parseWeekdays: function (text) {
+    const value = (text || "").trim();
+    if (!value) return null;
+    const dayOf = (name) => {
+      const index = RuleSchedule.DAYS.findIndex((day) => day.toLowerCase() === name.trim().slice(0, 3).toLowerCase());
+      if (index < 0 || name.trim().length < 3) throw new Error(`Unknown day "${name.trim()}", use Mon, Tue, Wed, Thu, Fri, Sat, Sun`);
+      return index;
+    };
+    const days = [];
+    value.split(",").forEach((part) => {
+      if (!part.trim()) return;
+      const range = part.split("-");
+      if (range.length > 2) throw new Error(`Invalid range of days "${part.trim()}"`);
+      const first = dayOf(range[0]);
+      const last = range.length === 2 ? dayOf(range[1]) : first;
+      // Ranges may wrap over the end of the week, e.g. Fri-Mon
+      for (let day = first; ; day = (day + 1) % 7) {
+        if (!days.includes(day)) days.push(day);
+        if (day === last) break;
+      }
+    });
+    if (days.length === 0) throw new Error("No days are given");
+    return days.sort();
+  },
+
+  /**
+   * Validate hours of a rule.
+   * @param {string} text The time range.
+   * @returns {string|null} The error message or null if valid.
+   * @nothrows
+   */
+  validateTimeRange: function (text) {
+    try {
+      RuleSchedule.parseTimeRange(text);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * Validate weekdays of a rule.
+   * @param {string} text The days.
+   * @returns {string|null} The error message or null if valid.
+   * @nothrows
+   */
+  validateWeekdays: function (text) {
+    try {
+      RuleSchedule.parseWeekdays(text);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * Check if the rule has a schedule.
+   * @param {Object} pattern The rule (timeRange and weekdays are used).
+   * @returns {boolean}
+   */
+  hasSchedule: function (pattern) {
+    return !!(pattern?.timeRange || "").trim() || !!(pattern?.weekdays || "").trim();
+  },
+
+  /**
+   * Check if the schedule of the rule allows it at the given time.
+   * @param {Object} pattern The rule (timeRange and weekdays are used).
+   * @param {Date} date The time to check (Default: now).
+   * @returns {boolean} True if the rule has no schedule or the time is in it, false for invalid schedules.
+   * @nothrows
+   *
+   * @note Days are checked for the day the hours started, so "Fri" with "19:00-07:00" is active from Friday 19:00
+   * to Saturday 07:00 (not on Friday 00:00-07:00).
+   */
+  isActive: function (pattern, date = new Date()) {
+    try {
+      const range = RuleSchedule.parseTimeRange(pattern?.timeRange);
+      const days = RuleSchedule.parseWeekdays(pattern?.weekdays);
+      const minutes = date.getHours() * 60 + date.getMinutes();
+      let day = date.getDay();
+      let active = true;
+      if (range && range.start < range.end) {
+        active = minutes >= range.start && minutes < range.end;
+      } else if (range) {
+        active = minutes >= range.start || minutes < range.end;
+        // After midnight the hours belong to the previous day
+        if (minutes < range.end) day = (day + 6) % 7;
+      }
+      return active && (!days || days.includes(day));
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Get the readable schedule of the rule.
+   * @param {Object} pattern The rule.
+   * @returns {string} For example "Mon-Fri 19:00-07:00", empty if the rule has no schedule.
+   */
+  describe: function (pattern) {
+    return [(pattern?.weekdays || "").trim(), (pattern?.timeRange || "").trim()].filter((part) => part).join(" ");
+  },
+
+  /**
+   * Get the nearest time when a schedule of some rule may start or stop applying.
+   * @param {Object[]} patterns The rules.
+   * @param {Date} date The time to start from (Default: now).
+   * @returns {Date|null} The time of the boundary or null if rules have no schedules.
+   * @nothrows
+   */
+  nextBoundary: function (patterns, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    let next = null;
+    const consider = (boundary) => {
+      // The boundary is today if it's still ahead, otherwise tomorrow
+      const days = boundary > minutes ? 0 : 1;
+      const time = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, 0, boundary);
+      if (!next || time < next) next = time;
+    };
+    (Array.isArray(patterns) ? patterns : []).forEach((pattern) => {
+      try {
+        const range = RuleSchedule.parseTimeRange(pattern?.timeRange);
+        if (range) {
+          consider(range.start);
+          consider(range.end % RuleSchedule.MINUTES_PER_DAY);
+        }
+        if (RuleSchedule.parseWeekdays(pattern?.weekdays)) consider(0);
+      } catch (error) {
+        // Invalid schedules never apply, so they have no boundaries
+      }
+    });
+    return next;
+  },
+};
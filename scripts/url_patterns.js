@@ -0,0 +1,284 @@
+// URL patterns of the routing rules. Shared by the background (imported as module) and the options page (classic script),
+// so it doesn't export anything and is available as global URLPatterns.
+globalThis.URLPatterns = {
+  /**
+   * Supported syntaxes of URL patterns.
+   * - wildcard - "*" matches any characters, "?" matches one character, the whole URL must match.
+   * - match - WebExtension match pattern (<scheme>://<host>/<path>), path is matched with the query string.
+   * - regex - Regular expression, it is searched anywhere in the URL (use ^ and $ to match the whole URL).
+   */
+  SYNTAXES: [
+    { value: "wildcard", label: "Wildcard" },
+    { value: "match", label: "Match pattern" },
+    { value: "regex", label: "Regular expression" },
+  ],
+  DEFAULT_SYNTAX: "wildcard",
+  // Widest host permission which the extension may request (see optional_host_permissions)
+  ALL_ORIGINS: "*://*/*",
+
+  _cache: new Map(),
+
+  /**
+   * Convert a URL pattern to a regular expression.
+   * @param {string} pattern The URL pattern.
+   * @param {string} syntax The syntax of the pattern (see SYNTAXES), default is wildcard.
+   * @returns {RegExp} The resulting regular expression.
+   * @throws {Error} If the pattern is invalid, the message describes the problem.
+   */
+  toRegExp: function (pattern, syntax = "wildcard") {
+    if (!pattern || typeof pattern !== "string") throw new Error("Pattern is empty");
+    const key = `${syntax}\n${pattern}`;
+    if (URLPatterns._cache.has(key)) return URLPatterns._cache.get(key);
+
+    let regExp = null;
+    switch (syntax || URLPatterns.DEFAULT_SYNTAX) {
+      case "wildcard":
+        regExp = URLPatterns._wildcardToRegExp(pattern);
+        break;
+      case "match":
+        regExp = URLPatterns._matchPatternToRegExp(pattern);
+        break;
+      case "regex":
+        try {
+          regExp = new RegExp(pattern, "i");
+        } catch (error) {
+          throw new Error(error.message);
+        }
+        break;
+      default:
+        throw new Error(`Unknown pattern syntax "${syntax}"`);
+    }
+
+    if (URLPatterns._cache.size > 256) URLPatterns._cache.clear();
+    URLPatterns._cache.set(key, regExp);
+    return regExp;
+  },
+
+  /**
+   * Validate a URL pattern.
+   * @param {string} pattern The URL pattern.
+   * @param {string} syntax The syntax of the pattern (see SYNTAXES).
+   * @returns {string|null} The error message or null if the pattern is valid.
+   * @nothrows
+   */
+  validate: function (pattern, syntax = "wildcard") {
+    try {
+      URLPatterns.toRegExp(pattern, syntax);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * Check if the URL matches the pattern.
+   * @param {string} pattern The URL pattern.
+   * @param {string} syntax The syntax of the pattern (see SYNTAXES).
+   * @param {string} url The URL to check.
+   * @returns {boolean} True if the URL matches, invalid patterns match nothing.
+   * @nothrows
+   */
+  test: function (pattern, syntax, url) {
+    try {
+      return URLPatterns.toRegExp(pattern, syntax).test(url || "");
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Get host permissions (origins) required to route tabs which match the pattern.
+   * @param {string} pattern The URL pattern.
+   * @param {string} syntax The syntax of the pattern (see SYNTAXES).
+   * @returns {string[]} Match patterns for permissions API, empty for invalid patterns.
+   * @nothrows
+   *
+   * @note When the host can't be derived from the pattern, all origins are required.
+   */
+  toOrigins: function (pattern, syntax = "wildcard") {
+    if (URLPatterns.validate(pattern, syntax)) return [];
+    let parts = null;
+    switch (syntax || URLPatterns.DEFAULT_SYNTAX) {
+      case "wildcard":
+        parts = URLPatterns._wildcardOrigin(pattern);
+        break;
+      case "match":
+        parts = URLPatterns._matchPatternOrigin(pattern);
+        break;
+      case "regex":
+        parts = URLPatterns._regexOrigin(pattern);
+        break;
+    }
+    if (!parts) return [URLPatterns.ALL_ORIGINS];
+    return [`${parts.scheme}://${parts.host}/*`];
+  },
+
+  /**
+   * Check if every URL matched by the inner pattern is matched by the outer pattern too.
+   * @param {string} outer The outer pattern.
+   * @param {string} outerSyntax The syntax of the outer pattern.
+   * @param {string} inner The inner pattern.
+   * @param {string} innerSyntax The syntax of the inner pattern.
+   * @returns {boolean} True if it's sure, false if not or if it can't be decided.
+   * @nothrows
+   *
+   * @note Wildcards are compared with wildcards and match patterns with match patterns,
+   * regular expressions are compared only as equal texts and "match all" expressions.
+   */
+  covers: function (outer, outerSyntax, inner, innerSyntax) {
+    outerSyntax = outerSyntax || URLPatterns.DEFAULT_SYNTAX;
+    innerSyntax = innerSyntax || URLPatterns.DEFAULT_SYNTAX;
+    if (URLPatterns.validate(outer, outerSyntax) || URLPatterns.validate(inner, innerSyntax)) return false;
+    if (outerSyntax === innerSyntax && outer === inner) return true;
+    if (outerSyntax === "wildcard" && /^\*+$/.test(outer)) return true;
+    if (outerSyntax === "match" && outer === "<all_urls>") return true;
+    if (outerSyntax === "regex" && [".*", "^.*", "^.*$"].includes(outer)) return true;
+
+    if (outerSyntax === "wildcard" && innerSyntax === "wildcard") {
+      // "*" of the inner pattern can be covered only by "*" of the outer one, so the outer pattern must match the inner one as text.
+      // It doesn't work with "?" which would match "*" as one character.
+      if (outer.includes("?")) return !/[*?]/.test(inner) && URLPatterns.test(outer, outerSyntax, inner);
+      return URLPatterns.test(outer, outerSyntax, inner);
+    }
+    if (outerSyntax === "match" && innerSyntax === "match") {
+      const o = URLPatterns._parseMatchPattern(outer);
+      const i = URLPatterns._parseMatchPattern(inner);
+      if (i.allUrls) return false;
+      if (o.scheme !== i.scheme && !(o.scheme === "*" && ["http", "https", "ws", "wss"].includes(i.scheme))) return false;
+      if (o.host.startsWith("*.")) {
+        const name = o.host.slice(2);
+        if (i.host !== name && !i.host.endsWith("." + name)) return false;
+      } else if (o.host !== "*" && o.host !== i.host) {
+        return false;
+      }
+      if (o.port && o.port !== "*" && o.port !== i.port) return false;
+      const path = o.path.split("*").map(URLPatterns._escape).join(".*");
+      return new RegExp("^" + path + "$").test(i.path);
+    }
+    return false;
+  },
+
+  _escape: function (text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  },
+
+  _wildcardToRegExp: function (pattern) {
+    const escaped = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp("^" + escaped + "$", "i");
+  },
+
+  // Parts of a match pattern: scheme, host (may be empty for file scheme), port (optional) and path
+  _parseMatchPattern: function (pattern) {
+    if (pattern === "<all_urls>") return { scheme: "*", host: "*", port: "", path: "/*", allUrls: true };
+    const match = /^([^:/]+):\/\/([^/]*)(\/.*)?$/.exec(pattern);
+    if (!match) throw new Error("Match pattern must look like <scheme>://<host>/<path>");
+    const scheme = match[1].toLowerCase();
+    if (!["*", "http", "https", "ws", "wss", "ftp", "file"].includes(scheme)) {
+      throw new Error(`Unsupported scheme "${match[1]}"`);
+    }
+    if (!match[3]) throw new Error("Path is required, use \"/*\" to match any path");
+    const hostMatch = /^([^:]*)(?::(\d+|\*))?$/.exec(match[2]);
+    if (!hostMatch) throw new Error(`Invalid host "${match[2]}"`);
+    const host = hostMatch[1].toLowerCase();
+    const name = host.startsWith("*.") ? host.slice(2) : host;
+    if (scheme === "file") {
+      if (host) throw new Error("File patterns have no host, use file:///<path>");
+    } else if (!host) {
+      throw new Error("Host is required");
+    } else if (host !== "*" && (!name || name.includes("*"))) {
+      throw new Error("\"*\" in host is allowed only as the whole host or at the start followed by \".\"");
+    }
+    return { scheme, host, port: hostMatch[2] || "", path: match[3], allUrls: false };
+  },
+
+  _matchPatternToRegExp: function (pattern) {
+    const parts = URLPatterns._parseMatchPattern(pattern);
+    if (parts.allUrls) return /^(?:https?|wss?|ftp|file):\/\//;
+
+    const scheme = parts.scheme === "*" ? "(?:https?|wss?)" : parts.scheme;
+    let host = "";
+    if (parts.host === "*") {
+      host = "[^/:]+";
+    } else if (parts.host.startsWith("*.")) {
+      host = "(?:[^/:]+\\.)?" + URLPatterns._escape(parts.host.slice(2));
+    } else {
+      host = URLPatterns._escape(parts.host);
+    }
+    const port = (!parts.port || parts.port === "*") ? "(?::\\d+)?" : ":" + parts.port;
+    const path = parts.path.split("*").map(URLPatterns._escape).join(".*");
+    // Fragment is not a part of the matched URL
+    return new RegExp("^" + scheme + ":\\/\\/" + (parts.scheme === "file" ? "" : host + port) + path + "(?:#.*)?$");
+  },
+
+  // Permission parts from the host of the URL, wildcard host gives "*" (any host)
+  _originFromParts: function (scheme, host) {
+    scheme = (scheme || "").toLowerCase();
+    host = (host || "").toLowerCase().replace(/:.*$/, "");
+    if (!["http", "https", "ws", "wss"].includes(scheme)) scheme = "*";
+    const name = host.startsWith("*.") ? host.slice(2) : host;
+    if (!name || /[*?]/.test(name)) host = "*";
+    return { scheme, host };
+  },
+
+  _wildcardOrigin: function (pattern) {
+    const match = /^([^:/]*):\/\/([^/]*)\//.exec(pattern);
+    if (!match) return null;
+    return URLPatterns._originFromParts(match[1], match[2]);
+  },
+
+  _matchPatternOrigin: function (pattern) {
+    const parts = URLPatterns._parseMatchPattern(pattern);
+    if (parts.allUrls || parts.scheme === "file" || parts.scheme === "ftp") return null;
+    return URLPatterns._originFromParts(parts.scheme, parts.host);
+  },
+
+  // Host is known only when the regular expression starts with a literal "<scheme>://<host>" followed by "/" or ":"
+  _regexOrigin: function (pattern) {
+    // "^https?://" is common, both schemes are "*" in permissions
+    const anyScheme = pattern.startsWith("^https?:");
+    const prefix = URLPatterns._regexLiteralPrefix(anyScheme ? "^https" + pattern.slice("^https?".length) : pattern);
+    const match = /^(https?|wss?):\/\/([a-z0-9.-]+)[/:]/i.exec(prefix);
+    if (match) return URLPatterns._originFromParts(anyScheme ? "*" : match[1], match[2]);
+    const scheme = /^(https?|wss?):\/\//i.exec(prefix);
+    return scheme ? { scheme: anyScheme ? "*" : scheme[1].toLowerCase(), host: "*" } : null;
+  },
+
+  // Literal text which every URL matching the anchored regular expression starts with
+  _regexLiteralPrefix: function (source) {
+    if (!source.startsWith("^")) return "";
+    // Alternatives at the top level may start with anything
+    let depth = 0;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (ch === "\\") i++;
+      else if (ch === "(") depth++;
+      else if (ch === ")") depth--;
+      else if (ch === "|" && depth === 0) return "";
+    }
+
+    let prefix = "";
+    for (let i = 1; i < source.length; i++) {
+      const ch = source[i];
+      if ("?*{".includes(ch)) {
+        // The previous character is optional
+        return prefix.slice(0, -1);
+      }
+      if (ch === "\\") {
+        const next = source[i + 1];
+        // Character classes (\d, \w, ...) end the literal part
+        if (!next || /[a-z0-9]/i.test(next)) return prefix;
+        prefix += next;
+        i++;
+      } else if (".+()[]|^$".includes(ch)) {
+        // "+" repeats the previous character, so it is still a part of the prefix
+        return prefix;
+      } else {
+        prefix += ch;
+      }
+    }
+    return prefix;
+  },
+};